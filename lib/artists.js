@@ -0,0 +1,112 @@
+// ── Artist index ───────────────────────────────────────────────────────────
+// Normalizes the free-form `artists` strings into per-event lineups of
+// { id, name } so the same DJ is one entry across the week regardless of
+// casing, accents, "b2b", "&", "presents" or "(Live)" decorations.
+
+const { normalizeText } = require('./changelog');
+
+// "&" normally joins two acts ("Mira & Tal Fussman"); these are single acts.
+// Keys as produced by artistId().
+const AMPERSAND_ACTS = new Set([
+  'above-beyond', 'chus-ceballos', 'lucas-steve', 'tomi-kesh', 'jude-frank',
+  'miguelle-tons', 'brownies-lemonade',
+]);
+
+// Likewise a standalone "x" joins a collab ("DJ Tennis x Carl Craig"),
+// except for acts named that way
+const X_ACTS = new Set(['bonnie-x-clyde']);
+
+// Words that mark a title as a party/brand rather than an artist — used when
+// `artists` is empty and the event name might be the artist
+const NON_ARTIST = /\b(pass|party|parties|cruise|boat|yacht|open air|week|night|showcase|festival|takeover|records|music|brunch|mmw|mondays|tuesdays|wednesdays|thursdays|fridays|saturdays|sundays|20\d\d)\b/i;
+
+// Lineup filler that isn't an artist
+const FILLER = /^(more|friends|guests?|special guests?|tba|tbd|secret headliner|surprise guests?|many more|and more)$/i;
+
+function artistId(name) {
+  return normalizeText(name).replace(/ /g, '-');
+}
+
+// Strip decorations from a single act: "Gorgon City Presents: Enter The
+// Realm" → "Gorgon City", "Shimza and Co" → "Shimza", "Spacemen Live" → "Spacemen"
+function cleanName(str) {
+  return str
+    .replace(/\s+presents?\b.*$/i, '')
+    .replace(/\s+(&|and)\s+(friends|co)\.?$/i, '')
+    .replace(/\s+(live|dj set|hybrid set|all night long)$/i, '')
+    .replace(/^(ft\.?|feat\.?|w\/)\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Splits a part on `joiner` unless the whole part is one of `acts`
+function splitUnlessAct(joiner, acts) {
+  return part => {
+    const pieces = part.split(joiner);
+    return pieces.length > 1 && !acts.has(artistId(part)) ? pieces.map(cleanName) : [part];
+  };
+}
+
+// "Zeds Dead b2b Tape B, Boogie T (Live), Mira & Tal Fussman + More"
+// → ['Zeds Dead', 'Tape B', 'Boogie T', 'Mira', 'Tal Fussman']
+function splitArtists(str) {
+  return String(str || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/\s*,\s*|\s+\+\s+|\s+b[23]b\s+|\s+vs\.?\s+|\s+with\s+|\s+w\/\s*/i)
+    .map(cleanName)
+    .flatMap(splitUnlessAct(/\s+(?:&|and)\s+/i, AMPERSAND_ACTS))
+    .flatMap(splitUnlessAct(/\s+x\s+/i, X_ACTS))
+    .filter(name => name.length > 1 && !FILLER.test(name));
+}
+
+// Raw artist names for an event. An empty `artists` means the name is the
+// only act, unless the name reads like a party brand.
+function eventArtistNames(e) {
+  if (e.artists) return splitArtists(e.artists);
+  if (!e.name || NON_ARTIST.test(e.name) || /:/.test(e.name)) return [];
+  return splitArtists(e.name);
+}
+
+// Adds `lineup: [{ id, name }]` to each event. The display name for an id is
+// its most common spelling across all events. Mutates and returns `events`.
+function attachLineups(events) {
+  const spellings = new Map(); // id → Map(name → count)
+  const perEvent = events.map(e => {
+    const ids = [];
+    eventArtistNames(e).forEach(name => {
+      const id = artistId(name);
+      if (!id || ids.includes(id)) return;
+      ids.push(id);
+      if (!spellings.has(id)) spellings.set(id, new Map());
+      const counts = spellings.get(id);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    return ids;
+  });
+
+  const canonical = new Map();
+  spellings.forEach((counts, id) => {
+    canonical.set(id, [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0]);
+  });
+
+  events.forEach((e, i) => {
+    e.lineup = perEvent[i].map(id => ({ id, name: canonical.get(id) }));
+  });
+  return events;
+}
+
+// [{ id, name, eventCount, eventIds }] from events that already have lineups
+function buildArtistIndex(events) {
+  const byId = new Map();
+  events.forEach(e => {
+    (e.lineup || []).forEach(({ id, name }) => {
+      if (!byId.has(id)) byId.set(id, { id, name, eventCount: 0, eventIds: [] });
+      const a = byId.get(id);
+      a.eventCount++;
+      a.eventIds.push(e.id);
+    });
+  });
+  return [...byId.values()];
+}
+
+module.exports = { AMPERSAND_ACTS, X_ACTS, artistId, splitArtists, attachLineups, buildArtistIndex };
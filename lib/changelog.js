@@ -0,0 +1,156 @@
+// ── Event identity + changelog ─────────────────────────────────────────────
+// Each refresh is diffed against the previous events.json snapshot. Events are
+// matched by a stable id first, then fuzzily (same day, similar title) so a
+// title tweak on 19hz reads as "modified" rather than "removed + added".
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Fields compared between snapshots. priceRaw/startHour are derived from the
+// display strings, so diffing them would only duplicate entries.
+const TRACKED_FIELDS = ['day', 'name', 'artists', 'venue', 'area', 'timeDisplay', 'type', 'genres', 'priceDisplay', 'age', 'link'];
+const MAX_ENTRIES = 5000;
+
+function normalizeText(str) {
+  return String(str || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokens(str) {
+  return new Set(normalizeText(str).split(' ').filter(Boolean));
+}
+
+// Stable id for a parsed row: "day|venue|title" with punctuation, casing and
+// accents normalized away, hashed to keep URLs short.
+function eventId(raw) {
+  const basis = [raw.day, normalizeText(raw.venue), normalizeText(raw.titlePart)].join('|');
+  return crypto.createHash('sha1').update(basis).digest('hex').slice(0, 12);
+}
+
+function titleTokens(e) {
+  return tokens(`${e.name} ${e.artists}`);
+}
+
+// Share of the smaller title's words found in the other — "Black Book" vs
+// "Black Book: Chris Lake, Eats Everything" scores 1.
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(t => { if (b.has(t)) shared++; });
+  return shared / Math.min(a.size, b.size);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(t => { if (b.has(t)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Carry ids over from the previous snapshot. `next` events arrive with their
+// freshly computed id; matched ones inherit the previous id, the rest keep
+// theirs (suffixed if it collides). Mutates and returns `next`.
+function assignIds(prev, next) {
+  const prevById = new Map(prev.map(e => [e.id, e]));
+  const claimed = new Set();
+  const unmatched = [];
+
+  // Pass 1 — exact id
+  next.forEach(e => {
+    if (prevById.has(e.id) && !claimed.has(e.id)) claimed.add(e.id);
+    else unmatched.push(e);
+  });
+
+  // Pass 2 — same day, similar title. Same venue needs a loose match;
+  // a venue move needs a near-identical title.
+  const pairs = [];
+  unmatched.forEach(e => {
+    const nextTokens = titleTokens(e);
+    prev.forEach(p => {
+      if (claimed.has(p.id) || p.day !== e.day) return;
+      const sameVenue = normalizeText(p.venue) === normalizeText(e.venue);
+      const score = sameVenue ? overlap(nextTokens, titleTokens(p)) : jaccard(nextTokens, titleTokens(p));
+      if (score >= (sameVenue ? 0.6 : 0.8)) pairs.push({ e, p, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+  const matched = new Set();
+  pairs.forEach(({ e, p }) => {
+    if (matched.has(e) || claimed.has(p.id)) return;
+    e.id = p.id;
+    claimed.add(p.id);
+    matched.add(e);
+  });
+
+  // Remaining events are new — make sure duplicate listings get distinct ids
+  const fresh = unmatched.filter(e => !matched.has(e));
+  const used = new Set(next.filter(e => !fresh.includes(e)).map(e => e.id));
+  fresh.forEach(e => {
+    let id = e.id;
+    for (let n = 2; used.has(id) || prevById.has(id); n++) id = `${e.id}-${n}`;
+    e.id = id;
+    used.add(id);
+  });
+
+  return next;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Field-level diff of two snapshots that already share ids.
+// Returns changelog entries stamped with `at`.
+function diffEvents(prev, next, at) {
+  const prevById = new Map(prev.map(e => [e.id, e]));
+  const nextIds = new Set(next.map(e => e.id));
+  const entry = (kind, e) => ({ at, kind, id: e.id, day: e.day, name: e.name, venue: e.venue });
+  const entries = [];
+
+  next.forEach(e => {
+    const before = prevById.get(e.id);
+    if (!before) {
+      entries.push({ ...entry('added', e), event: e });
+      return;
+    }
+    const changes = {};
+    TRACKED_FIELDS.forEach(f => {
+      if (!sameValue(before[f], e[f])) changes[f] = { from: before[f] ?? null, to: e[f] ?? null };
+    });
+    if (Object.keys(changes).length > 0) entries.push({ ...entry('modified', e), changes });
+  });
+
+  prev.forEach(p => {
+    if (!nextIds.has(p.id)) entries.push({ ...entry('removed', p), event: p });
+  });
+
+  return entries;
+}
+
+// ── Persistence ────────────────────────────────────────────────────────────
+function loadChangelog(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveChangelog(file, log) {
+  fs.writeFileSync(file, JSON.stringify(log.slice(-MAX_ENTRIES), null, 2));
+}
+
+// Filter the log by `since` (ISO string or epoch ms) and/or event `id`.
+function queryChanges(log, { since, id } = {}) {
+  const sinceMs = since ? (isNaN(since) ? Date.parse(since) : Number(since)) : null;
+  return log.filter(c =>
+    (sinceMs == null || Date.parse(c.at) > sinceMs) &&
+    (!id || c.id === id)
+  );
+}
+
+module.exports = { TRACKED_FIELDS, normalizeText, eventId, assignIds, diffEvents, loadChangelog, saveChangelog, queryChanges };
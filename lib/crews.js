@@ -0,0 +1,134 @@
+// ── Crews ──────────────────────────────────────────────────────────────────
+// Shared plans for a group of friends. Anyone with a crew's link can see it
+// and join; joining hands back a member token, which is needed to change your
+// own plans. Stored as
+//   { "<crew id>": { id, name, createdAt,
+//       members: { "<member id>": { name, token, joinedAt } },
+//       plans:   { "<member id>": { "<event id>": "going" | "maybe" | "starred" } } } }
+// Plans are keyed by event id, which refreshes carry across renames and
+// re-enrichment (see assignIds() in lib/changelog.js).
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PLAN_STATUSES = ['going', 'maybe', 'starred'];
+const MAX_NAME_LENGTH = 40;
+const MAX_CREWS = 1000;
+const MAX_MEMBERS = 50;
+const MAX_PLANS = 500; // per member
+
+function loadCrews(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveCrews(file, crews) {
+  fs.writeFileSync(file, JSON.stringify(crews, null, 2));
+}
+
+// Unguessable, URL-safe: crew ids double as the share link's secret
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function cleanName(value, what) {
+  const name = String(value || '').replace(/\s+/g, ' ').trim();
+  if (!name) throw new Error(`Missing ${what}`);
+  if (name.length > MAX_NAME_LENGTH) throw new Error(`Too long: ${what} (max ${MAX_NAME_LENGTH} characters)`);
+  return name;
+}
+
+function checkStatus(status) {
+  if (!PLAN_STATUSES.includes(status)) throw new Error(`Invalid "status": ${status} (expected one of: ${PLAN_STATUSES.join(', ')})`);
+}
+
+// → { member: { id, name }, token }
+function addMember(crew, name) {
+  const memberName = cleanName(name, 'member name');
+  if (Object.keys(crew.members).length >= MAX_MEMBERS) throw new Error(`Crew is full (${MAX_MEMBERS} members)`);
+  const id = randomId(6);
+  const token = randomId(18);
+  crew.members[id] = { name: memberName, token, joinedAt: new Date().toISOString() };
+  crew.plans[id] = {};
+  return { member: { id, name: memberName }, token };
+}
+
+// New crew with its creator as the first member → { crew, member, token }
+function createCrew(crews, { name, member }) {
+  const crewName = cleanName(name, 'crew name');
+  cleanName(member, 'member name');
+  if (Object.keys(crews).length >= MAX_CREWS) throw new Error('Too many crews on this server');
+  const crew = { id: randomId(9), name: crewName, createdAt: new Date().toISOString(), members: {}, plans: {} };
+  const joined = addMember(crew, member);
+  crews[crew.id] = crew;
+  return { crew, ...joined };
+}
+
+// Member id the token belongs to, or null
+function memberForToken(crew, token) {
+  const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+  const given = digest(token);
+  const match = Object.entries(crew.members).find(([, m]) => crypto.timingSafeEqual(given, digest(m.token)));
+  return match ? match[0] : null;
+}
+
+function removeMember(crew, memberId) {
+  delete crew.members[memberId];
+  delete crew.plans[memberId];
+}
+
+// `status` null clears the member's plan for the event
+function setPlan(crew, memberId, eventId, status) {
+  const plans = crew.plans[memberId];
+  if (status == null) {
+    delete plans[eventId];
+    return;
+  }
+  checkStatus(status);
+  if (!plans[eventId] && Object.keys(plans).length >= MAX_PLANS) throw new Error(`Too many plans (max ${MAX_PLANS})`);
+  plans[eventId] = status;
+}
+
+// Bulk-adds events (e.g. a browser's local stars) without downgrading a
+// "going" or "maybe" the member already set. Returns how many were added.
+function importPlans(crew, memberId, eventIds, status = 'starred') {
+  checkStatus(status);
+  const plans = crew.plans[memberId];
+  let added = 0;
+  eventIds.forEach(id => {
+    if (plans[id] || Object.keys(plans).length >= MAX_PLANS) return;
+    plans[id] = status;
+    added++;
+  });
+  return added;
+}
+
+// What any visitor with the link sees — no tokens. `attendance` is
+// event id → { going, maybe, starred } member ids, limited to `eventIds` if
+// given (plans for events that have since disappeared are left out).
+function publicCrew(crew, eventIds = null) {
+  const attendance = {};
+  Object.entries(crew.plans).forEach(([memberId, plans]) => {
+    Object.entries(plans).forEach(([eventId, status]) => {
+      if (eventIds && !eventIds.has(eventId)) return;
+      if (!attendance[eventId]) attendance[eventId] = { going: [], maybe: [], starred: [] };
+      attendance[eventId][status].push(memberId);
+    });
+  });
+  return {
+    id: crew.id,
+    name: crew.name,
+    createdAt: crew.createdAt,
+    members: Object.entries(crew.members).map(([id, m]) => ({ id, name: m.name })),
+    attendance,
+  };
+}
+
+module.exports = {
+  PLAN_STATUSES, loadCrews, saveCrews, createCrew, addMember, memberForToken,
+  removeMember, setPlan, importPlans, publicCrew,
+};
@@ -0,0 +1,205 @@
+// ── Claude enrichment ──────────────────────────────────────────────────────
+// Prompt, reply validation and retry policy shared by server.js and
+// seed-fallback.js. Claude is asked to echo each event's index as "i", so a
+// reply that skips, reorders or duplicates items can't shift names onto the
+// wrong events. Items that fail the schema are re-asked on their own; a reply
+// that can't be parsed at all (or was cut off) splits the batch in half.
+// Whatever still has no valid item comes back as null — callers fall back to
+// the rules.
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const CLAUDE_MODEL = 'claude-sonnet-4-6';
+const MAX_TOKENS = 16384;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 3;   // per set of items, counting re-asks and retries
+const MAX_REQUESTS = 10;  // per batch, so splitting can't run away
+const BACKOFF_MS = 2000;  // doubled on each retry
+
+// Type definitions for the prompt, each followed by the festival's venue
+// hints: '  - "pool" — hotel pool party (e.g. Surfcomber, Sagamore)'
+const TYPE_DESCRIPTIONS = {
+  pool:     'hotel pool party',
+  outdoor:  'open-air non-pool',
+  night:    'indoor nightclub or venue',
+  festival: 'multi-stage festival',
+  cruise:   'boat/yacht event',
+};
+const TYPES = Object.keys(TYPE_DESCRIPTIONS);
+
+// A reply that didn't yield a JSON array — worth splitting, not resending
+class ReplyError extends Error {}
+
+// The SDK's own retries are off: enrichBatch() retries with backoff, and also
+// knows when to split or re-ask instead
+function createClient(apiKey = process.env.ANTHROPIC_API_KEY) {
+  return new Anthropic({ apiKey, maxRetries: 0 });
+}
+
+function typeGuide(festival) {
+  return Object.entries(TYPE_DESCRIPTIONS).map(([type, desc]) => {
+    const hint = festival.venueHints[type];
+    return `  - "${type}" — ${desc}${hint ? ` (${hint})` : ''}`;
+  }).join('\n');
+}
+
+function buildPrompt(rawEvents, festival) {
+  return `You are enriching event data for a ${festival.name} event tracker.
+
+For each event below, return a JSON array with one element per event, where each element has exactly these fields:
+
+- "i" (number): The event's index from the list below.
+- "name" (string): The event brand, series, or party name. Split this from the artist list. If the title is just an artist name with no event brand, use the artist name.
+- "artists" (string): The full artist lineup as a comma-separated string. If the name already covers the only artist, use an empty string "".
+- "type" (string): One of ${TYPES.map(t => `"${t}"`).join(', ')}
+${typeGuide(festival)}
+
+Example input:
+0: title="Black Book Records: Chris Lake, Eats Everything, Ragie Ban" venue="Toe Jam Backlot" area="Miami" genres="tech house"
+1: title="Deadmau5" venue="Toe Jam Backlot" area="Miami" genres="progressive, electro"
+
+Example output:
+[{"i":0,"name":"Black Book Records","artists":"Chris Lake, Eats Everything, Ragie Ban","type":"outdoor"},{"i":1,"name":"Deadmau5","artists":"","type":"outdoor"}]
+
+Respond ONLY with the raw JSON array. No markdown fences, no explanation, no trailing text.
+
+Events:
+${rawEvents.map((e, i) => `${i}: title="${e.titlePart}" venue="${e.venue}" area="${e.area}" genres="${e.genres.join(', ')}"`).join('\n')}`;
+}
+
+// Reply text → array, stripping markdown fences if Claude added them anyway
+function parseReply(text) {
+  const json = text.trim().replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
+  let items;
+  try {
+    items = JSON.parse(json);
+  } catch (err) {
+    throw new ReplyError(`Unparseable reply: ${err.message}`);
+  }
+  if (!Array.isArray(items)) throw new ReplyError('Reply is not a JSON array');
+  return items;
+}
+
+// Reason an item doesn't fit the schema, or null
+function checkItem(item, count) {
+  if (!item || typeof item !== 'object') return 'not an object';
+  if (!Number.isInteger(item.i) || item.i < 0 || item.i >= count) return `bad index ${JSON.stringify(item.i)}`;
+  if (typeof item.name !== 'string' || !item.name.trim()) return 'missing "name"';
+  if (typeof item.artists !== 'string') return '"artists" is not a string';
+  if (!TYPES.includes(item.type)) return `invalid type ${JSON.stringify(item.type)}`;
+  return null;
+}
+
+// Reply items → one { name, artists, type } or null per input, by index.
+// An index answered twice is treated as unanswered.
+function matchItems(items, count) {
+  const results = new Array(count).fill(null);
+  const seen = new Set();
+  const problems = [];
+  items.forEach(item => {
+    const problem = checkItem(item, count);
+    if (problem) return problems.push(problem);
+    if (seen.has(item.i)) {
+      results[item.i] = null;
+      return problems.push(`index ${item.i} answered twice`);
+    }
+    seen.add(item.i);
+    results[item.i] = { name: item.name.trim(), artists: item.artists.trim(), type: item.type };
+  });
+  return { results, problems };
+}
+
+// Transient API failures (rate limits, overload, timeouts, network) are worth
+// another go; auth and bad-request errors aren't
+function isRetryable(err) {
+  if (err instanceof ReplyError) return true;
+  return err.status == null || err.status === 408 || err.status === 409 || err.status === 429 || err.status >= 500;
+}
+
+async function requestItems(client, rawEvents, festival, tokens) {
+  const response = await client.messages.create({
+    model: CLAUDE_MODEL,
+    max_tokens: MAX_TOKENS,
+    messages: [{ role: 'user', content: buildPrompt(rawEvents, festival) }],
+  });
+  if (tokens) {
+    tokens.input += response.usage.input_tokens;
+    tokens.output += response.usage.output_tokens;
+  }
+  if (response.stop_reason === 'max_tokens') throw new ReplyError('Reply cut off at max_tokens');
+  return matchItems(parseReply(response.content[0].text), rawEvents.length);
+}
+
+// One batch → { results, errors }, results aligned with `rawEvents`
+async function enrichBatch(client, rawEvents, festival, { tokens = null, backoffMs = BACKOFF_MS, log = () => {} } = {}) {
+  const results = new Array(rawEvents.length).fill(null);
+  const errors = [];
+  const queue = [{ idxs: rawEvents.map((_, i) => i), attempt: 1 }];
+  let requests = 0;
+
+  while (queue.length > 0) {
+    if (requests === MAX_REQUESTS) {
+      const left = queue.reduce((n, job) => n + job.idxs.length, 0);
+      errors.push(`Gave up after ${MAX_REQUESTS} requests, ${left} item(s) unanswered`);
+      break;
+    }
+    const { idxs, attempt } = queue.shift();
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** (attempt - 2)));
+    requests++;
+    try {
+      const { results: items, problems } = await requestItems(client, idxs.map(i => rawEvents[i]), festival, tokens);
+      idxs.forEach((idx, j) => { results[idx] = items[j]; });
+      const missing = idxs.filter(idx => !results[idx]);
+      if (missing.length === 0) continue;
+      const detail = problems.length > 0 ? ` (${problems.slice(0, 3).join('; ')})` : '';
+      if (attempt < MAX_ATTEMPTS) {
+        log(`  ${missing.length}/${idxs.length} item(s) missing or invalid${detail} — re-asking`);
+        queue.push({ idxs: missing, attempt: attempt + 1 });
+      } else {
+        errors.push(`${missing.length} item(s) still missing or invalid after ${MAX_ATTEMPTS} attempts${detail}`);
+      }
+    } catch (err) {
+      if (!isRetryable(err)) {
+        errors.push(err.message);
+        break;
+      }
+      if (err instanceof ReplyError && idxs.length > 1) {
+        // Smaller replies are less likely to be cut off, and a row that
+        // derails the reply only takes its own half down with it
+        const mid = Math.ceil(idxs.length / 2);
+        log(`  ${err.message} — splitting ${idxs.length} into ${mid} + ${idxs.length - mid}`);
+        queue.push({ idxs: idxs.slice(0, mid), attempt }, { idxs: idxs.slice(mid), attempt });
+      } else if (attempt < MAX_ATTEMPTS) {
+        log(`  ${err.message} — retrying`);
+        queue.push({ idxs, attempt: attempt + 1 });
+      } else {
+        errors.push(`${err.message} (${idxs.length} item(s), ${MAX_ATTEMPTS} attempts)`);
+      }
+    }
+  }
+  return { results, errors };
+}
+
+// All rows in batches of BATCH_SIZE → { results, errors }, results aligned
+// with `rawEvents` (null = use the fallback). Errors are prefixed with their
+// batch number.
+async function enrichAll(client, rawEvents, festival, options = {}) {
+  const log = options.log || (() => {});
+  const results = [];
+  const errors = [];
+  const totalBatches = Math.ceil(rawEvents.length / BATCH_SIZE);
+  for (let i = 0; i < rawEvents.length; i += BATCH_SIZE) {
+    const batch = rawEvents.slice(i, i + BATCH_SIZE);
+    const batchNum = i / BATCH_SIZE + 1;
+    if (totalBatches > 1) log(`  Batch ${batchNum}/${totalBatches} (${batch.length} events)`);
+    const out = await enrichBatch(client, batch, festival, options);
+    results.push(...out.results);
+    errors.push(...out.errors.map(e => `Claude batch ${batchNum}: ${e}`));
+  }
+  return { results, errors };
+}
+
+module.exports = {
+  CLAUDE_MODEL, BATCH_SIZE, MAX_ATTEMPTS, TYPES, ReplyError,
+  createClient, buildPrompt, parseReply, checkItem, matchItems, enrichBatch, enrichAll,
+};
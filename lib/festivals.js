@@ -0,0 +1,91 @@
+// ── Festival config ────────────────────────────────────────────────────────
+// Each entry in festivals.json is one tracked week: its 19hz listing, date
+// range, timezone, area filter buckets and venue hints for the Claude prompt.
+// The server runs one refresh pipeline per enabled festival and serves it at
+// /<id>/; the first enabled one is also the site root.
+
+const fs = require('fs');
+const path = require('path');
+
+const FESTIVALS_FILE = process.env.FESTIVALS_FILE || path.join(__dirname, '..', 'festivals.json');
+const REQUIRED = ['id', 'name', 'shortName', 'sourceUrl', 'start', 'end', 'timezone'];
+// First path segments the site root already uses
+const RESERVED_IDS = new Set(['api', 'calendar', 'data', 'public']);
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Validates one config entry and fills in defaults. Throws on bad config —
+// better to fail at boot than scrape the wrong week.
+function normalizeFestival(f) {
+  const missing = REQUIRED.filter(k => !f[k]);
+  if (missing.length > 0) throw new Error(`Festival ${f.id || '?'}: missing ${missing.join(', ')}`);
+  if (!/^[a-z0-9-]+$/.test(f.id) || RESERVED_IDS.has(f.id)) throw new Error(`Festival id "${f.id}" must be lowercase a-z, 0-9, "-" and not ${[...RESERVED_IDS].join('/')}`);
+  if (!DAY_KEY.test(f.start) || !DAY_KEY.test(f.end) || f.end < f.start) throw new Error(`Festival ${f.id}: bad date range ${f.start} – ${f.end}`);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: f.timezone });
+  } catch (_) {
+    throw new Error(`Festival ${f.id}: unknown timezone ${f.timezone}`);
+  }
+  return {
+    ...f,
+    // An area matches its own id unless `match` lists the spellings 19hz uses.
+    // lat/lng (optional) is a rough center, for travel times.
+    areas: (f.areas || []).map(a => ({
+      id: a.id,
+      label: a.label || a.id,
+      match: (a.match || [a.id]).map(m => m.toLowerCase()),
+      ...(Number.isFinite(a.lat) && Number.isFinite(a.lng) ? { lat: a.lat, lng: a.lng } : {}),
+    })),
+    venueHints: f.venueHints || {},
+  };
+}
+
+// Enabled festivals, in file order
+function loadFestivals(file = FESTIVALS_FILE) {
+  const festivals = JSON.parse(fs.readFileSync(file, 'utf8'))
+    .filter(f => f.enabled !== false)
+    .map(normalizeFestival);
+  if (festivals.length === 0) throw new Error(`No enabled festivals in ${file}`);
+  const ids = festivals.map(f => f.id);
+  const dupe = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (dupe) throw new Error(`Duplicate festival id: ${dupe}`);
+  return festivals;
+}
+
+// A listing's month (0–11) and day → day key inside the festival's range, or
+// null. 19hz omits the year, so try each year the range touches: "Jan 2" in a
+// Dec 26 – Jan 2 range is the later year.
+function dayKeyInRange(festival, month, day) {
+  const first = Number(festival.start.slice(0, 4));
+  const last = Number(festival.end.slice(0, 4));
+  for (let year = first; year <= last; year++) {
+    const key = `${year}-${pad(month + 1)}-${pad(day)}`;
+    if (key >= festival.start && key <= festival.end) return key;
+  }
+  return null;
+}
+
+// End date of a multi-day listing ("Mar 27-29", "Dec 31 - Jan 2"): the next
+// such date after `dayKey`, within a month. Null if it doesn't follow.
+function dayKeyAfter(dayKey, month, day) {
+  const year = Number(dayKey.slice(0, 4));
+  for (const y of [year, year + 1]) {
+    const key = `${y}-${pad(month + 1)}-${pad(day)}`;
+    if (key > dayKey) {
+      const gapDays = (Date.parse(key) - Date.parse(dayKey)) / 86400000;
+      return gapDays <= 31 ? key : null;
+    }
+  }
+  return null;
+}
+
+// What the UI needs to label itself and build the area filter
+function publicConfig(festival) {
+  const { id, name, shortName, start, end, timezone } = festival;
+  return { id, name, shortName, start, end, timezone, areas: festival.areas };
+}
+
+module.exports = { FESTIVALS_FILE, loadFestivals, normalizeFestival, dayKeyInRange, dayKeyAfter, publicConfig };
@@ -0,0 +1,96 @@
+// ── Refresh health ─────────────────────────────────────────────────────────
+// A record per refresh run, the anomaly guard that keeps a bad scrape from
+// replacing a good snapshot, and the summary behind /api/status.
+
+const fs = require('fs');
+
+const MAX_RUNS = 500;
+// Guard thresholds. A drop is only judged against a baseline big enough for
+// ratios to mean something.
+const MAX_DROP_RATIO = 0.5;     // reject if < half the still-upcoming events remain
+const MIN_BASELINE = 20;
+const MAX_FAILED_SHARE = 0.25;  // reject if > 1 in 4 listing rows can't be parsed
+// No good refresh for this long → the UI warns the data may be stale
+const STALE_AFTER_MS = 30 * 60 * 1000;
+// USD per million tokens, for CLAUDE_MODEL in lib/enrich.js
+const PRICE_PER_MTOK = { input: 3, output: 15 };
+
+function newRun(now = Date.now()) {
+  return {
+    at: new Date(now).toISOString(),
+    durationMs: 0,
+    outcome: null, // 'ok' | 'rejected' | 'failed'
+    httpStatus: null,
+    rows: 0,
+    failedRows: 0,
+    parsed: 0,
+    previous: 0,
+    newEvents: 0,
+    enriched: { rules: 0, claude: 0, fallback: 0 },
+    tokens: { input: 0, output: 0 },
+    costUsd: 0,
+    unknownVenues: [], // venue names with no venues/<id>.json entry
+    errors: [],
+  };
+}
+
+function estimateCost(tokens) {
+  const usd = (tokens.input * PRICE_PER_MTOK.input + tokens.output * PRICE_PER_MTOK.output) / 1e6;
+  return Math.round(usd * 10000) / 10000;
+}
+
+// 'YYYY-MM-DD' of `now` in `tz`
+function todayIn(tz, now = Date.now()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+// Reason to keep the previous snapshot, or null if the scrape looks sane.
+// 19hz drops past days as the week goes on, so the baseline is the previous
+// snapshot's events that haven't finished yet.
+function checkScrape({ rows, failedRows, parsed, previous, timezone, now = Date.now() }) {
+  if (rows > 0 && failedRows / rows > MAX_FAILED_SHARE) {
+    return `${failedRows} of ${rows} listing rows failed to parse — markup change?`;
+  }
+  const today = todayIn(timezone, now);
+  const upcoming = previous.filter(e => (e.days || [e.day]).some(d => d >= today)).length;
+  if (upcoming >= MIN_BASELINE && parsed < upcoming * (1 - MAX_DROP_RATIO)) {
+    return `Parsed ${parsed} events but the last snapshot has ${upcoming} upcoming — partial page?`;
+  }
+  return null;
+}
+
+function loadRuns(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveRuns(file, runs) {
+  fs.writeFileSync(file, JSON.stringify(runs.slice(-MAX_RUNS), null, 2));
+}
+
+// /api/status body. `snapshotAt` (events.json's updatedAt) stands in for the
+// last good run when the run history is empty, e.g. right after a deploy.
+function summarize(runs, { snapshotAt = null, limit = 20, now = Date.now() } = {}) {
+  const lastGood = [...runs].reverse().find(r => r.outcome === 'ok');
+  const lastSuccessAt = lastGood ? lastGood.at : snapshotAt;
+  const recent = runs.slice(-limit).reverse();
+  return {
+    lastRun: recent[0] || null,
+    lastSuccessAt,
+    stale: !lastSuccessAt || now - Date.parse(lastSuccessAt) > STALE_AFTER_MS,
+    staleAfterMinutes: STALE_AFTER_MS / 60000,
+    totals: {
+      runs: runs.length,
+      failed: runs.filter(r => r.outcome === 'failed').length,
+      rejected: runs.filter(r => r.outcome === 'rejected').length,
+      costUsd: estimateCost(runs.reduce((t, r) => ({ input: t.input + r.tokens.input, output: t.output + r.tokens.output }), { input: 0, output: 0 })),
+    },
+    runs: recent,
+  };
+}
+
+module.exports = { MAX_RUNS, STALE_AFTER_MS, PRICE_PER_MTOK, newRun, estimateCost, checkScrape, loadRuns, saveRuns, summarize };
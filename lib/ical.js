@@ -0,0 +1,140 @@
+// ── iCalendar export ───────────────────────────────────────────────────────
+// Builds RFC 5545 calendars from events.json entries. UIDs derive from the
+// stable event id, so a re-fetched feed or re-imported .ics replaces the
+// existing entry instead of adding a duplicate. The festival id is the UID
+// domain and names the PRODID, keeping festivals' feeds apart.
+
+const DEFAULT_DURATION_MS = 4 * 60 * 60 * 1000; // when 19hz lists no end time
+
+// Text values escape backslash, semicolon, comma and newline
+function escapeText(str) {
+  return String(str || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// Date → 20260328T020000Z
+function utcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// '2026-03-27' → 20260327
+function dateStamp(dayKey) {
+  return dayKey.replace(/-/g, '');
+}
+
+function nextDay(dayKey) {
+  const d = new Date(dayKey + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Occurrences of a multi-day listing add their day: <id>-20260327@<festival>
+function eventUid(e, festivalId, dayKey) {
+  return dayKey ? `${e.id}-${dateStamp(dayKey)}@${festivalId}` : `${e.id}@${festivalId}`;
+}
+
+// The event's timed slots as { day, start, end } in ms. A listing over
+// several days gives daily hours ("1pm – Fri 11:45pm"), so each day gets the
+// same wall times, as in the My Week planner, rather than one block running
+// through the nights. Slots starting after the event's end are dropped.
+function timedSlots(e) {
+  const days = e.days || [e.day];
+  if (days.length === 1) {
+    const start = Date.parse(e.startAt);
+    return [{ day: days[0], start, end: e.endAt ? Date.parse(e.endAt) : start + DEFAULT_DURATION_MS }];
+  }
+  const last = e.endAt ? Date.parse(e.endAt) : Infinity;
+  return days.map(day => {
+    const start = Date.parse(day + e.startAt.slice(10));
+    if (!e.endAt) return { day, start, end: start + DEFAULT_DURATION_MS };
+    let end = Date.parse(day + e.endAt.slice(10));
+    if (end <= start) end = Date.parse(nextDay(day) + e.endAt.slice(10));
+    return { day, start, end };
+  }).filter(slot => slot.start < last);
+}
+
+// The event's VEVENTs — one, or one per day for a timed multi-day listing.
+// `sequence` should grow each time the event changes so clients that
+// imported a single .ics accept the update.
+function buildVevent(e, { festivalId, sequence = 0, lastModified, now = Date.now() }) {
+  const description = [
+    e.artists && `Lineup: ${e.artists}`,
+    e.timeDisplay && `Time: ${e.timeDisplay}`,
+    e.genres?.length && `Genres: ${e.genres.join(', ')}`,
+    e.priceDisplay && `Price: ${e.priceDisplay}`,
+    e.age && `Age: ${e.age}`,
+    e.link && `Tickets: ${e.link}`,
+  ].filter(Boolean).join('\n');
+
+  const vevent = (uid, dates) => {
+    const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${utcStamp(now)}`, `SEQUENCE:${sequence}`];
+    if (lastModified) lines.push(`LAST-MODIFIED:${utcStamp(Date.parse(lastModified))}`);
+    lines.push(
+      ...dates,
+      `SUMMARY:${escapeText(e.name)}`,
+      `LOCATION:${escapeText([e.venue, e.area].filter(Boolean).join(', '))}`,
+      `DESCRIPTION:${escapeText(description)}`,
+    );
+    if (e.link) lines.push(`URL:${e.link}`);
+    if (e.type) lines.push(`CATEGORIES:${escapeText(e.type)}`);
+    lines.push('END:VEVENT');
+    return lines;
+  };
+
+  if (!e.startAt) {
+    // No parseable time — an all-day entry across the days it spans
+    const days = e.days || [e.day];
+    return vevent(eventUid(e, festivalId), [`DTSTART;VALUE=DATE:${dateStamp(days[0])}`, `DTEND;VALUE=DATE:${dateStamp(nextDay(days[days.length - 1]))}`]);
+  }
+  const slots = timedSlots(e);
+  return slots.flatMap(({ day, start, end }) =>
+    vevent(eventUid(e, festivalId, slots.length > 1 && day), [`DTSTART:${utcStamp(start)}`, `DTEND:${utcStamp(end)}`]));
+}
+
+// Full VCALENDAR. `festivalId`, `name` and `timezone` come from the festival
+// config and are required. `versionOf(id)` returns { sequence, lastModified }
+// for an event, typically from the changelog. Times are UTC; `timezone` only
+// tells clients how to display the calendar.
+function buildCalendar(events, { festivalId, name, timezone, versionOf = () => ({}), now = Date.now() }) {
+  const missing = Object.entries({ festivalId, name, timezone }).filter(([, v]) => !v).map(([k]) => k);
+  if (missing.length) throw new Error(`buildCalendar: missing ${missing.join(', ')}`);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${festivalId}//Event Tracker//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    // Subscribed feeds: hint clients to poll hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  events.forEach(e => lines.push(...buildVevent(e, { festivalId, ...versionOf(e.id), now })));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeText, foldLine, eventUid, buildVevent, buildCalendar };
@@ -0,0 +1,78 @@
+// ── Admin overrides ────────────────────────────────────────────────────────
+// Hand corrections kept apart from the enrichment cache, so they survive a
+// cache reset and no refresh or re-enrichment can overwrite them:
+//   events: { "<event id>": { name?, artists?, type?, locked: true, at } }
+//   venues: { "<venue, lowercase>": "<type>" }
+// Event overrides win over venue overrides, which win over the cache. They're
+// keyed by the stable event id (lib/changelog.js), which carries over when
+// 19hz touches up a title, rather than the "day|title|venue" cache key.
+
+const fs = require('fs');
+const { eventId } = require('./changelog');
+
+const EDITABLE_FIELDS = ['name', 'artists', 'type'];
+
+function emptyOverrides() {
+  return { events: {}, venues: {} };
+}
+
+// Files from before ids were the key hold "day|title|venue" cache keys;
+// those become the id a fresh listing row would get
+function loadOverrides(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const events = {};
+    Object.entries(data.events || {}).forEach(([key, edit]) => {
+      const parts = key.split('|');
+      const id = parts.length < 3 ? key : eventId({ day: parts[0], titlePart: parts.slice(1, -1).join('|'), venue: parts[parts.length - 1] });
+      events[id] = edit;
+    });
+    return { events, venues: data.venues || {} };
+  } catch (_) {
+    return emptyOverrides();
+  }
+}
+
+function saveOverrides(file, overrides) {
+  fs.writeFileSync(file, JSON.stringify(overrides, null, 2));
+}
+
+function venueKey(venue) {
+  return String(venue || '').trim().toLowerCase();
+}
+
+// Cache entry + overrides → the { name, artists, type } to publish. `id` is
+// the event's id, or null before ids are assigned (venue overrides only).
+function applyOverrides(entry, id, venue, overrides) {
+  const result = { name: entry.name, artists: entry.artists, type: entry.type };
+  const venueType = overrides.venues[venueKey(venue)];
+  if (venueType) result.type = venueType;
+  const edit = id ? overrides.events[id] : null;
+  if (edit) EDITABLE_FIELDS.forEach(f => { if (edit[f] != null) result[f] = edit[f]; });
+  return result;
+}
+
+// Validates and records an edit. `fields` may hold any of EDITABLE_FIELDS;
+// throws on an empty edit or unknown type.
+function setEventOverride(overrides, id, fields, validTypes) {
+  const edit = {};
+  EDITABLE_FIELDS.forEach(f => {
+    if (fields[f] != null) edit[f] = String(fields[f]).trim();
+  });
+  if (Object.keys(edit).length === 0) throw new Error(`Nothing to change (editable: ${EDITABLE_FIELDS.join(', ')})`);
+  if (edit.name === '') throw new Error('"name" can\'t be empty');
+  if (edit.type && !validTypes.includes(edit.type)) throw new Error(`Invalid "type": ${edit.type} (expected one of: ${validTypes.join(', ')})`);
+  overrides.events[id] = { ...overrides.events[id], ...edit, locked: true, at: new Date().toISOString() };
+  return overrides.events[id];
+}
+
+function setVenueOverride(overrides, venue, type, validTypes) {
+  if (!venueKey(venue)) throw new Error('Missing venue');
+  if (!validTypes.includes(type)) throw new Error(`Invalid "type": ${type} (expected one of: ${validTypes.join(', ')})`);
+  overrides.venues[venueKey(venue)] = type;
+}
+
+module.exports = {
+  EDITABLE_FIELDS, loadOverrides, saveOverrides, venueKey,
+  applyOverrides, setEventOverride, setVenueOverride,
+};
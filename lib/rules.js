@@ -0,0 +1,100 @@
+// ── Rule-based enricher ────────────────────────────────────────────────────
+// Deterministic stand-in for Claude: a venue→type table plus title-splitting
+// heuristics. Used as a cheap first pass (confident rows skip Claude) and as
+// the fallback when Claude is unavailable or fails.
+
+// Checked against the title before the venue — "Sunset Cruise @ Hyatt Regency
+// Dock" is a cruise, "Pool Party" at a club is still a pool party.
+const TITLE_TYPE_RULES = [
+  [/\b(cruise|boat|yacht)\b/i, 'cruise'],
+  [/\bpool part(y|ies)\b/i, 'pool'],
+  [/\b(music festival|music & arts festival)\b/i, 'festival'],
+  [/\bopen air\b/i, 'outdoor'],
+];
+
+// First match wins, so more specific patterns sit above broader ones
+// (e.g. "Casa Neos Beach Club" before the generic "club").
+const VENUE_TYPE_RULES = [
+  [/\b(yacht|boat|cruise|dock|marina)\b/i, 'cruise'],
+  [/\b(rooftop|beach club)\b/i, 'outdoor'],
+  [/\b(hotel|resort|surfcomber|sagamore|national|delano|greystone|clevelander|strawberry moon|moxy)\b|\bpool\b/i, 'pool'],
+  [/\b(bayfront park|sunshine grove)\b/i, 'festival'],
+  [/\b(factory town|toe jam|park|island|backlot|backyard|marketplace|rc cola|triangle|mana wynwood|uva wynwood|grove|lot|racetrack|squadron|beach)\b/i, 'outdoor'],
+  [/\b(club|nightclub|space|the ground|floyd|e11even|do not sit|liv|zeyzey|mazuma|tin roof|jolene|mode|midline|kemistry|daer|lounge|tavern|boombox|selva|mad live|lucky|domicile|bagatelle)\b/i, 'night'],
+];
+
+function inferType(raw) {
+  const byTitle = TITLE_TYPE_RULES.find(([re]) => re.test(raw.titlePart));
+  if (byTitle) return byTitle[1];
+  const byVenue = VENUE_TYPE_RULES.find(([re]) => re.test(raw.venue));
+  return byVenue ? byVenue[1] : null;
+}
+
+// "A, B + C, D + More" → "A, B, C, D"
+function splitLineup(str) {
+  return str
+    .split(/\s*,\s*|\s+\+\s+/)
+    .map(s => s.trim())
+    .filter(s => s && !/^(and |& )?(more|friends|guests)$/i.test(s))
+    .join(', ');
+}
+
+const isLineup = str => /,|\s\+\s|\bb2b\b/i.test(str);
+
+// Split a 19hz title into { name, artists, confident }. Anything ambiguous
+// ("Brownies & Lemonade", "Tokimonsta: Young Art Records", multi-party
+// " / " listings) comes back unconfident with the raw title as the name.
+function splitTitle(title) {
+  const t = title.trim();
+  const unsure = { name: t, artists: '', confident: false };
+  if (/\s\/\s/.test(t)) return unsure;
+
+  // "Brand w/ A, B", "Brand ft A" or "Brand: Sagamore Pool Party w/A, B"
+  const withMatch = t.match(/^(.+?)\s+(?:w\/\s*|w\s+|ft\.?\s+|feat\.?\s+)(.+)$/i);
+  if (withMatch) {
+    const name = withMatch[1].replace(/\s*[-:]\s*$/, '').trim();
+    return { name, artists: splitLineup(withMatch[2]), confident: true };
+  }
+
+  // "Brand - A, B, C" (the brand itself may contain a colon)
+  const dashMatch = t.match(/^(.+?)\s+-\s+(.+)$/);
+  if (dashMatch && !dashMatch[2].includes(':') && isLineup(dashMatch[2])) {
+    return { name: dashMatch[1].trim(), artists: splitLineup(dashMatch[2]), confident: true };
+  }
+
+  // "Brand: A, B, C"
+  const colonMatch = t.match(/^([^:]+?)\s*:\s*(.+)$/);
+  if (colonMatch) {
+    if (!isLineup(colonMatch[2])) return unsure;
+    return { name: colonMatch[1].trim(), artists: splitLineup(colonMatch[2]), confident: true };
+  }
+
+  // "A b2b B"
+  if (/\bb2b\b/i.test(t) && !/,/.test(t)) {
+    return { name: t, artists: t.split(/\s+b2b\s+/i).join(', '), confident: true };
+  }
+
+  // "A + B" or "A, B, C" — a bare lineup names itself
+  if (isLineup(t)) return { name: t, artists: splitLineup(t), confident: true };
+
+  // No separators at all — a single artist or party name
+  if (!/&|\band\b|\bby\b|\bpresents?\b|\bx\b/i.test(t)) return { name: t, artists: '', confident: true };
+
+  return unsure;
+}
+
+// Returns { name, artists, type, confident }. `type` falls back to 'night'
+// when no rule matches; `confident` is true only if both the type and the
+// title split came from a rule.
+function enrichWithRules(raw) {
+  const type = inferType(raw);
+  const split = splitTitle(raw.titlePart);
+  return {
+    name: split.name,
+    artists: split.artists,
+    type: type || 'night',
+    confident: split.confident && type !== null,
+  };
+}
+
+module.exports = { TITLE_TYPE_RULES, VENUE_TYPE_RULES, inferType, splitTitle, enrichWithRules };
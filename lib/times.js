@@ -0,0 +1,116 @@
+// ── Event times ────────────────────────────────────────────────────────────
+// Turns 19hz's free-form time strings ("10pm-5am", "12pm-11pm",
+// "5pm – Sun 8am") into real datetimes in the festival's timezone, plus the
+// list of days an event spans.
+
+const TIMEZONE = 'America/New_York';
+// A night belongs to the day it started on until noon — "10pm-5am" and
+// Space's "11pm-12pm" are one-day events, "5pm – Sun 8am" covers Fri + Sat.
+const DAY_ROLLOVER_HOUR = 12;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// '2026-03-27' + n days → '2026-03-2x', calendar arithmetic only
+function addDays(dayKey, n) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + n));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function weekdayOf(dayKey) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Minutes the zone is ahead of UTC at a given instant (-240 for EDT)
+function tzOffsetMinutes(utcMs, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - utcMs) / 60000);
+}
+
+// Wall-clock time in `tz` → ISO 8601 with offset, e.g. '2026-03-27T22:00:00-04:00'
+function zonedIso(dayKey, hour, minute, tz = TIMEZONE) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hour, minute);
+  // Second pass settles instants near a DST switch
+  let offset = tzOffsetMinutes(wall - tzOffsetMinutes(wall, tz) * 60000, tz);
+  const sign = offset < 0 ? '-' : '+';
+  offset = Math.abs(offset);
+  return `${dayKey}T${pad(hour)}:${pad(minute)}:00${sign}${pad(Math.floor(offset / 60))}:${pad(offset % 60)}`;
+}
+
+// "10pm", "11:30pm", "noon", "midnight" → { hour, minute, meridiem }
+function parseClock(str) {
+  const s = str.trim().toLowerCase();
+  if (/^noon\b/.test(s)) return { hour: 12, minute: 0, meridiem: 'pm' };
+  if (/^midnight\b/.test(s)) return { hour: 0, minute: 0, meridiem: 'am' };
+  const m = s.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/);
+  if (!m) return null;
+  return { hour: Number(m[1]), minute: Number(m[2] || 0), meridiem: m[3] || null };
+}
+
+function to24h({ hour, minute, meridiem }) {
+  let h = hour % 12;
+  if (meridiem === 'pm') h += 12;
+  return { hour: h, minute };
+}
+
+// Parse a 19hz time string for an event starting on `dayKey`. `lastDay` is
+// set when the date column itself spans several days ("Mar 27-29"), in which
+// case the hours are daily hours and the event ends on the last day.
+// Returns { startAt, endAt, days }; startAt/endAt are null when unparseable.
+function parseTimeRange(dayKey, timeRaw, lastDay = dayKey, tz = TIMEZONE) {
+  const empty = { startAt: null, endAt: null, days: dayRange(dayKey, lastDay) };
+  const [startStr, endStr] = String(timeRaw || '').replace(/[–—]/g, '-').split(/\s*-\s*/);
+  const startClock = startStr && parseClock(startStr);
+  if (!startClock) return empty;
+
+  // "10-11pm" — start borrows the end's meridiem
+  let endWeekday = null;
+  let endClock = null;
+  if (endStr) {
+    const wd = endStr.trim().match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?\s+/i);
+    if (wd) endWeekday = WEEKDAYS.indexOf(wd[1].toLowerCase());
+    endClock = parseClock(wd ? endStr.trim().slice(wd[0].length) : endStr);
+  }
+  if (!startClock.meridiem) startClock.meridiem = endClock?.meridiem || 'pm';
+  if (endClock && !endClock.meridiem) endClock.meridiem = startClock.meridiem;
+
+  const start = to24h(startClock);
+  const startAt = zonedIso(dayKey, start.hour, start.minute, tz);
+  if (!endClock) return { startAt, endAt: null, days: dayRange(dayKey, lastDay) };
+
+  const end = to24h(endClock);
+  const endsBeforeStart = end.hour * 60 + end.minute <= start.hour * 60 + start.minute;
+  let endDay;
+  if (endWeekday !== null) {
+    // Next occurrence of that weekday after the start
+    endDay = addDays(dayKey, (endWeekday - weekdayOf(dayKey) + 7) % 7);
+    if (endDay === dayKey && endsBeforeStart) endDay = addDays(dayKey, 7);
+  } else {
+    // Past midnight — on a multi-day listing the daily hours end the day after the last
+    endDay = endsBeforeStart ? addDays(lastDay, 1) : lastDay;
+  }
+  const endAt = zonedIso(endDay, end.hour, end.minute, tz);
+
+  // The last day only counts if the event runs past the rollover hour
+  const rollover = end.hour * 60 + end.minute > DAY_ROLLOVER_HOUR * 60;
+  return { startAt, endAt, days: dayRange(dayKey, rollover ? endDay : addDays(endDay, -1)) };
+}
+
+// Inclusive list of day keys; never empty
+function dayRange(first, last) {
+  const days = [first];
+  while (days.length < 31 && days[days.length - 1] < last) days.push(addDays(days[days.length - 1], 1));
+  return days;
+}
+
+module.exports = { TIMEZONE, addDays, zonedIso, parseTimeRange };
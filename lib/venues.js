@@ -0,0 +1,70 @@
+// ── Venue registry ─────────────────────────────────────────────────────────
+// venues/<festival id>.json lists the venues we know, one entry each:
+//   { id, name, aliases?, lat, lng, neighborhood?, setting }
+// 19hz spells venues loosely ("Toe Jam backlot", "The Sagamore Hotel",
+// "Floyd Miami"), so names and aliases are compared after normalizing case,
+// accents, punctuation and a leading "The". Refresh tags each event with the
+// matching entry's id; names with no entry are reported in the run record.
+
+const fs = require('fs');
+const { normalizeText } = require('./changelog');
+
+const SETTINGS = ['indoor', 'outdoor', 'pool'];
+
+// "The Pool at Strawberry moon" → "pool at strawberry moon"
+function venueSlug(name) {
+  return normalizeText(String(name || '').replace(/&/g, ' and ').replace(/['’]/g, '')).replace(/^the /, '');
+}
+
+function emptyRegistry() {
+  return { venues: [], byId: new Map(), bySlug: new Map() };
+}
+
+// Validates the file and indexes it. A missing file is an empty registry;
+// a malformed one throws, like a bad festivals.json.
+function loadVenues(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return emptyRegistry();
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error(`${file}: expected an array of venues`);
+
+  const registry = emptyRegistry();
+  list.forEach(v => {
+    const where = `${file}: venue ${v.id || v.name || '?'}`;
+    if (!/^[a-z0-9-]+$/.test(v.id || '')) throw new Error(`${where}: id must be lowercase a-z, 0-9, "-"`);
+    if (!v.name) throw new Error(`${where}: missing name`);
+    if (typeof v.lat !== 'number' || typeof v.lng !== 'number' || Math.abs(v.lat) > 90 || Math.abs(v.lng) > 180) {
+      throw new Error(`${where}: lat / lng must be numbers`);
+    }
+    if (!SETTINGS.includes(v.setting)) throw new Error(`${where}: setting must be one of ${SETTINGS.join(', ')}`);
+    if (registry.byId.has(v.id)) throw new Error(`${where}: duplicate id`);
+
+    const venue = { id: v.id, name: v.name, aliases: v.aliases || [], lat: v.lat, lng: v.lng, neighborhood: v.neighborhood || null, setting: v.setting };
+    registry.venues.push(venue);
+    registry.byId.set(venue.id, venue);
+    [venue.name, ...venue.aliases].forEach(name => {
+      const slug = venueSlug(name);
+      const other = registry.bySlug.get(slug);
+      if (other && other !== venue) throw new Error(`${where}: "${name}" already belongs to ${other.id}`);
+      registry.bySlug.set(slug, venue);
+    });
+  });
+  return registry;
+}
+
+// Registry entry for a 19hz venue string, or null. Also tries the name
+// without a trailing " - <address>" or "(...)".
+function findVenue(registry, name) {
+  const candidates = [name, String(name || '').split(' - ')[0], String(name || '').replace(/\s*\(.*\)\s*$/, '')];
+  for (const candidate of candidates) {
+    const venue = registry.bySlug.get(venueSlug(candidate));
+    if (venue) return venue;
+  }
+  return null;
+}
+
+module.exports = { SETTINGS, venueSlug, loadVenues, findVenue };
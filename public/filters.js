@@ -0,0 +1,182 @@
+// ── Event filters — shared by index.html and server.js ─────────────────────
+// Loaded as a plain <script> in the browser (window.EventFilters, after
+// price.js) and via require() on the server, so the UI and /api/* can't
+// drift apart.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./price'));
+  else root.EventFilters = factory(root.EventPrice);
+})(typeof self !== 'undefined' ? self : this, function ({ priceOf, cheapest }) {
+
+  // Genre buttons that cover several 19hz tags
+  const GENRE_ALIASES = {
+    'afro house':    ['afro house', 'organic house'],
+    'trance':        ['trance', 'psytrance', 'hard trance'],
+    'breaks':        ['breaks', 'miami bass'],
+    'bass':          ['bass', 'dubstep', 'bass house', 'melodic dubstep', 'hybrid trap'],
+    'drum and bass': ['drum and bass'],
+    'big room':      ['big room', 'big room house', 'latin house'],
+    'edm':           ['edm', 'pop edm', 'electro house'],
+  };
+
+  // Area buckets when no festival config is loaded; festivals.json has the
+  // real list per festival. `match` holds the lowercase 19hz spellings.
+  const DEFAULT_AREAS = [
+    { id: 'miami',           label: 'Miami',          match: ['miami'] },
+    { id: 'miami beach',     label: 'Miami Beach',    match: ['miami beach'] },
+    { id: 'fort lauderdale', label: 'Ft. Lauderdale', match: ['fort lauderdale', 'ft. lauderdale'] },
+  ];
+
+  // Accepted values for the enumerated filters (area: see areaValues())
+  const FILTER_VALUES = {
+    time:  ['afternoon', 'evening', 'latenight', 'afterhours'],
+    area:  [...DEFAULT_AREAS.map(a => a.id), 'other'],
+    type:  ['pool', 'outdoor', 'night', 'festival', 'cruise'],
+    price: ['free', 'rsvp', 'low', 'mid', 'high', 'unknown'],
+  };
+
+  // Days an event spans; older data predates `days`
+  function eventDays(e) {
+    return e.days || [e.day];
+  }
+
+  // Start hour (0–23) in Miami time. startAt carries its own offset, so the
+  // wall-clock hour is right there in the string regardless of timezone.
+  function startWallHour(e) {
+    if (e.startAt) return parseInt(e.startAt.slice(11, 13));
+    return e.startHour != null ? e.startHour % 24 : null;
+  }
+
+  // 'afternoon' | 'evening' | 'latenight' | 'afterhours' | null
+  function timeSlot(e) {
+    const h = startWallHour(e);
+    if (h === null) return null;
+    if (h >= 12 && h < 18) return 'afternoon';
+    if (h >= 18 && h < 22) return 'evening';
+    if (h >= 22 || h < 2) return 'latenight'; // 10pm–2am
+    return 'afterhours';                      // 2am–noon
+  }
+
+  // Id of the area bucket `e` falls in, or 'other'
+  function areaBucket(e, areas = DEFAULT_AREAS) {
+    const a = (e.area || '').toLowerCase();
+    const bucket = areas.find(b => b.match.includes(a));
+    return bucket ? bucket.id : 'other';
+  }
+
+  function areaValues(areas = DEFAULT_AREAS) {
+    return [...areas.map(a => a.id), 'other'];
+  }
+
+  // Price buckets `e` is in — several when it lists several ways in: "free
+  // w/rsvp / $24+" is free, rsvp and low. The dollar bucket goes by the
+  // cheapest paid tier. 'unknown' when no price is listed.
+  function priceBuckets(e) {
+    const price = priceOf(e);
+    const buckets = [];
+    if (price.free) buckets.push('free');
+    if (price.rsvp) buckets.push('rsvp');
+    if (price.min !== null) buckets.push(price.min < 50 ? 'low' : price.min < 100 ? 'mid' : 'high');
+    return buckets.length > 0 ? buckets : ['unknown'];
+  }
+
+  // Great-circle distance between two { lat, lng } points, in miles
+  function distanceMiles(a, b) {
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+  }
+
+  function searchText(e) {
+    return [e.name, e.artists, e.venue, e.area, ...e.genres].join(' ').toLowerCase();
+  }
+
+  // Lowercase without accents, so "beyonce" finds "Beyoncé"
+  function normalizeSearch(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // Genre filter values an event answers to: its own tags, with the ones an
+  // alias button covers replaced by that button ('psytrance' → 'trance')
+  function genreValues(genres) {
+    const values = new Set(genres.filter(g => !GENRE_ALIASES[g]));
+    Object.entries(GENRE_ALIASES).forEach(([button, tags]) => {
+      if (genres.some(g => tags.includes(g))) values.add(button);
+    });
+    return values;
+  }
+
+  // Everything matchEvent() checks, worked out once per event. The page keeps
+  // one per event between renders; `areas` is the festival's area config.
+  function eventIndex(e, { areas } = {}) {
+    return {
+      days: eventDays(e),
+      slot: timeSlot(e),
+      area: areaBucket(e, areas),
+      type: e.type,
+      genres: genreValues(e.genres),
+      prices: priceBuckets(e),
+      text: normalizeSearch(searchText(e)),
+      venueId: e.venueId || null,
+    };
+  }
+
+  const toList = v => (v == null ? [] : typeof v === 'string' ? [v] : [...v]);
+
+  // Does an event's index pass `criteria`? Each of day / time / area / type /
+  // genre / price takes a Set or array (OR within a filter, AND across
+  // filters; empty = no filter). `search` is a free-text substring. `near` is
+  // { lat, lng, miles }; events whose venue has no coordinates don't match it.
+  // `venues` is a Map of venue id → registry entry.
+  function matchIndex(index, criteria, { venues } = {}) {
+    const day = toList(criteria.day);
+    if (day.length > 0 && !index.days.some(d => day.includes(d))) return false;
+
+    const time = toList(criteria.time);
+    if (time.length > 0 && !time.includes(index.slot)) return false;
+
+    const area = toList(criteria.area);
+    if (area.length > 0 && !area.includes(index.area)) return false;
+
+    const type = toList(criteria.type);
+    if (type.length > 0 && !type.includes(index.type)) return false;
+
+    const genre = toList(criteria.genre);
+    if (genre.length > 0 && !genre.some(g => index.genres.has(g))) return false;
+
+    const price = toList(criteria.price);
+    if (price.length > 0 && !index.prices.some(b => price.includes(b))) return false;
+
+    if (criteria.search && !index.text.includes(normalizeSearch(criteria.search))) return false;
+
+    if (criteria.near) {
+      const venue = venues && index.venueId ? venues.get(index.venueId) : null;
+      if (!venue || distanceMiles(criteria.near, venue) > criteria.near.miles) return false;
+    }
+
+    return true;
+  }
+
+  // matchIndex() for a one-off check. `areas` and `venues` as above.
+  function matchEvent(e, criteria, options = {}) {
+    return matchIndex(eventIndex(e, options), criteria, options);
+  }
+
+  // Cheapest way in; unknown prices sort last
+  const priceKey = e => cheapest(priceOf(e)) ?? Infinity;
+
+  // Sort comparators for /api/events; events without a time or price sort last
+  const SORTS = {
+    start: (a, b) => (a.startAt ? Date.parse(a.startAt) : Infinity) - (b.startAt ? Date.parse(b.startAt) : Infinity) || a.day.localeCompare(b.day),
+    day:   (a, b) => a.day.localeCompare(b.day),
+    name:  (a, b) => a.name.localeCompare(b.name),
+    venue: (a, b) => a.venue.localeCompare(b.venue),
+    price: (a, b) => (priceKey(a) - priceKey(b)) || 0,
+  };
+
+  return {
+    GENRE_ALIASES, DEFAULT_AREAS, FILTER_VALUES, SORTS, eventDays, startWallHour, timeSlot, areaBucket, areaValues,
+    priceBuckets, distanceMiles, searchText, normalizeSearch, genreValues, eventIndex, matchIndex, matchEvent,
+  };
+});
@@ -0,0 +1,96 @@
+// ── Price model — shared by index.html and server.js ───────────────────────
+// 19hz's price column is free text: "$25", "$42-67", "$29 pre / $50",
+// "free w/rsvp b4 10pm / $23-34", "TBA", sometimes just the age ("21+").
+// parsePrice() turns it into
+//   { min, max, plus, tiers, free, rsvp, tba, soldOut, door }
+// where min / max cover the paid tiers only (null if there are none), `plus`
+// means the top price is open-ended ("$24+"), and tiers are the options in
+// listing order — split on " / ", ", " and parentheses, so "$15-$25 (door
+// $30)" and "$10 advance, $20 at the door" are two tiers each: { min, max,
+// label } — label is what's left of the segment ("pre", "b4 12",
+// "w/rsvp b4 10pm"), free tiers are 0.
+// Loaded as a plain <script> (window.EventPrice) and via require().
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EventPrice = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // "$40", "$49.84-304.43", "$40-3,000", "$58-82+"
+  const AMOUNT = /\$\s*(\d[\d,]*(?:\.\d+)?)(?:\s*-\s*\$?(\d[\d,]*(?:\.\d+)?))?\s*(\+)?/;
+  // Tiers are split on spaced slashes ("w/rsvp" has an unspaced one), on a
+  // comma and space ("$40-3,000" has neither) and around parentheses
+  const TIER_SEPARATOR = /\s+\/\s+|,\s+|\s*[()]\s*/;
+
+  const toNumber = s => parseFloat(s.replace(/,/g, ''));
+
+  function parsePrice(str) {
+    const text = String(str || '').trim();
+    const price = {
+      min: null,
+      max: null,
+      plus: false,
+      tiers: [],
+      free: false,
+      rsvp: /\brsvp\b/i.test(text),
+      tba: false,
+      soldOut: /\bsold[\s-]*out\b/i.test(text),
+      door: /\b(door|dos)\b/i.test(text),
+    };
+
+    text.split(TIER_SEPARATOR).forEach(segment => {
+      const m = segment.match(AMOUNT);
+      if (m) {
+        const min = toNumber(m[1]);
+        const max = m[2] ? Math.max(min, toNumber(m[2])) : min;
+        price.tiers.push({ min, max, label: segment.replace(m[0], ' ').replace(/\s+/g, ' ').trim() });
+        if (m[3]) price.plus = true;
+      } else if (/\bfree\b/i.test(segment)) {
+        price.tiers.push({ min: 0, max: 0, label: segment.replace(/\bfree\b\+?/i, '').trim() });
+      }
+    });
+
+    const paid = price.tiers.filter(t => t.max > 0);
+    price.free = price.tiers.some(t => t.min === 0);
+    if (paid.length > 0) {
+      price.min = Math.min(...paid.map(t => t.min));
+      price.max = Math.max(...paid.map(t => t.max));
+    }
+    // "$29 pre / $50" — the unlabeled tier after a presale is the door price
+    const pre = price.tiers.findIndex(t => /^pre\b/i.test(t.label));
+    if (pre >= 0 && price.tiers.slice(pre + 1).some(t => t.label === '')) price.door = true;
+    price.tba = price.tiers.length === 0 && !price.soldOut;
+    return price;
+  }
+
+  // The structured price, parsed on the fly for data written before it existed
+  function priceOf(e) {
+    return e.price || parsePrice(e.priceDisplay === 'TBA' ? '' : e.priceDisplay);
+  }
+
+  // Cheapest way in: 0 if any tier is free, null if unknown
+  function cheapest(price) {
+    return price.free ? 0 : price.min;
+  }
+
+  function dollars(n) {
+    return '$' + String(Math.round(n)).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  }
+
+  // Compact label for cards and table cells: "$42–$67", "$24+",
+  // "Free w/ RSVP · $23–$34", "Sold out", "TBA"
+  function priceLabel(price) {
+    if (price.tba) return 'TBA';
+    const parts = [];
+    if (price.free) parts.push(price.rsvp ? 'Free w/ RSVP' : 'Free');
+    if (price.min !== null) {
+      const range = price.max > price.min ? `${dollars(price.min)}–${dollars(price.max)}` : dollars(price.min);
+      parts.push(range + (price.plus ? '+' : ''));
+      if (price.rsvp && !price.free) parts.push('RSVP');
+    }
+    const label = parts.join(' · ');
+    if (price.soldOut) return label ? `Sold out · ${label}` : 'Sold out';
+    return label;
+  }
+
+  return { parsePrice, priceOf, cheapest, priceLabel };
+});
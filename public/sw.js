@@ -0,0 +1,77 @@
+// ── Service worker — offline mode ──────────────────────────────────────────
+// Keeps the page, its scripts, events.json and the festival config in a
+// cache so the tracker opens with no signal. Everything here is network
+// first: a good response replaces the cached copy, and the cached copy is
+// used when the network fails, errors, or takes longer than
+// NETWORK_TIMEOUT_MS (festival cell service is often up but useless).
+// Cached copies carry an X-Fetched-At header, which is how the page knows
+// it's showing saved data and how old it is. The live stream, crews, admin
+// and the rest of the API aren't cached.
+// Registered per festival (sw.js is served under /<id>/ too), so the cache
+// name includes the scope.
+
+const CACHE = 'mmw-v1:' + self.registration.scope;
+const NETWORK_TIMEOUT_MS = 4000;
+// Paths relative to the scope; '' is the page itself
+const CACHED = ['', 'index.html', 'price.js', 'filters.js', 'manifest.webmanifest', 'icon.svg', 'events.json', 'api/festival'];
+
+// Path relative to the scope, or null for requests outside it
+function scopedPath(url) {
+  const { scope } = self.registration;
+  return url.startsWith(scope) ? url.slice(scope.length) : null;
+}
+
+// The page is cached once, whatever its query string (filters live there)
+function cacheKey(path) {
+  return new URL(path === 'index.html' ? '' : path, self.registration.scope).href;
+}
+
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Fetched-At', new Date().toISOString());
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function save(key, response) {
+  if (response.ok) await (await caches.open(CACHE)).put(key, await stamped(response.clone()));
+  return response;
+}
+
+// Called synchronously from the fetch handler, so waitUntil() still applies
+function networkFirst(event, key) {
+  const network = fetch(event.request).then(response => save(key, response));
+  event.waitUntil(network.catch(() => {}));
+  return caches.match(key, { cacheName: CACHE }).then(cached => {
+    if (!cached) return network;
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS, cached));
+    return Promise.race([network.then(response => (response.ok ? response : cached), () => cached), timeout]);
+  });
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    await Promise.all(CACHED.filter(path => path !== 'index.html').map(async path => {
+      const key = cacheKey(path);
+      await save(key, await fetch(key, { cache: 'no-cache' }));
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+// Drop this scope's caches from older versions
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const suffix = ':' + self.registration.scope;
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.endsWith(suffix) && name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  const url = event.request.url.split('#')[0];
+  const path = scopedPath(event.request.mode === 'navigate' ? url.split('?')[0] : url);
+  if (path === null || !CACHED.includes(path)) return;
+  event.respondWith(networkFirst(event, cacheKey(path)));
+});
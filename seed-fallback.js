@@ -1,92 +1,88 @@
 #!/usr/bin/env node
-// Seed script — fetches 19hz, parses, enriches in batches, outputs JS for index.html fallback.
-// Usage: ANTHROPIC_API_KEY=... node seed-fallback.js > /tmp/fallback-events.js
-
+// Seed script — writes fallback/<festival id>.json, the snapshot served until
+// the first refresh. Either copies the last published events.json, or
+// fetches 19hz, parses and enriches it the way a refresh does: the festival's
+// enrichment cache first, then the rules, then Claude in batches.
+// Usage: ANTHROPIC_API_KEY=... node seed-fallback.js [festival id] [--html <file> | --snapshot]
+//   Festival id defaults to the first in festivals.json. --html reads a saved
+//   listing page instead of fetching 19hz. --snapshot copies events.json.
+//   Without ANTHROPIC_API_KEY, rows not in the cache use the rule-based enricher.
+
+const fs = require('fs');
+const path = require('path');
 const fetch = require('node-fetch');
-const Anthropic = require('@anthropic-ai/sdk');
-const { parseEvents, parsePrice, SOURCE_URL } = require('./server');
-
-const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-const BATCH_SIZE = 50;
-
-async function enrichBatch(rawEvents) {
-  const prompt = `You are enriching event data for a Miami Music Week event tracker.
-
-For each event below, return a JSON array (same order, same length) where each element has exactly these fields:
-
-- "name" (string): The event brand, series, or party name. Split this from the artist list. If the title is just an artist name with no event brand, use the artist name.
-- "artists" (string): The full artist lineup as a comma-separated string. If the name already covers the only artist, use an empty string "".
-- "type" (string): One of "pool", "outdoor", "night", "festival", "cruise"
-  - "pool" — hotel pool party (e.g. Surfcomber, Sagamore, National Hotel, Strawberry Moon)
-  - "outdoor" — open-air non-pool (Wynwood lots, parks, beaches, racetracks, islands, Factory Town)
-  - "night" — indoor nightclub or venue (Club Space, Floyd, E11even, Do Not Sit, etc.)
-  - "festival" — multi-stage festival (Ultra, etc.)
-  - "cruise" — boat/yacht event
-
-Example input:
-0: title="Black Book Records: Chris Lake, Eats Everything, Ragie Ban" venue="Toe Jam Backlot" area="Miami" genres="tech house"
-1: title="Deadmau5" venue="Toe Jam Backlot" area="Miami" genres="progressive, electro"
-
-Example output:
-[{"name":"Black Book Records","artists":"Chris Lake, Eats Everything, Ragie Ban","type":"outdoor"},{"name":"Deadmau5","artists":"","type":"outdoor"}]
-
-Respond ONLY with the raw JSON array. No markdown fences, no explanation, no trailing text.
+const { parseEvents, buildEvents, cacheKey, loadSnapshot, FESTIVALS, STATES } = require('./server');
+const { enrichWithRules } = require('./lib/rules');
+const { createClient, enrichAll } = require('./lib/enrich');
+const { assignIds } = require('./lib/changelog');
+
+const args = process.argv.slice(2);
+const htmlIdx = args.indexOf('--html');
+const htmlFile = htmlIdx > -1 ? args.splice(htmlIdx, 2)[1] : null;
+const fromSnapshot = args.includes('--snapshot');
+const festivalId = args.find(a => !a.startsWith('--'));
+const festival = festivalId ? FESTIVALS.find(f => f.id === festivalId) : FESTIVALS[0];
+
+async function loadListing() {
+  if (htmlFile) {
+    console.error(`Reading ${htmlFile}...`);
+    return fs.readFileSync(htmlFile, 'utf8');
+  }
+  console.error('Fetching 19hz...');
+  const res = await fetch(festival.sourceUrl);
+  return res.text();
+}
 
-Events:
-${rawEvents.map((e, i) => `${i}: title="${e.titlePart}" venue="${e.venue}" area="${e.area}" genres="${e.genres.join(', ')}"`).join('\n')}`;
+async function enrichListing(state) {
+  const raw = parseEvents(await loadListing(), festival);
+  console.error(`Parsed ${raw.length} events`);
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 8192,
-    messages: [{ role: 'user', content: prompt }],
+  // Cached enrichments as-is (rules guesses get another go at Claude when
+  // there's a key), then rules, then Claude for whatever the rules can't
+  // resolve. Rows Claude gives up on keep the rules guess.
+  const hasClaude = Boolean(process.env.ANTHROPIC_API_KEY);
+  const allEnriched = raw.map(r => {
+    const cached = state.cache.get(cacheKey(r));
+    if (cached && !(hasClaude && cached.source === 'fallback')) return { ...cached, confident: true };
+    return enrichWithRules(r);
   });
+  const cachedCount = raw.filter(r => state.cache.has(cacheKey(r))).length;
+  const unresolved = raw.map((r, i) => i).filter(i => !allEnriched[i].confident);
+  console.error(`Cache had ${cachedCount}/${raw.length}; ${unresolved.length} unresolved after the rules`);
+  if (hasClaude) {
+    console.error(`Enriching ${unresolved.length} events with Claude...`);
+    const { results, errors } = await enrichAll(createClient(), unresolved.map(j => raw[j]), festival, { log: console.error });
+    unresolved.forEach((j, k) => { if (results[k]) allEnriched[j] = results[k]; });
+    errors.forEach(err => console.error(err));
+  } else if (unresolved.length > 0) {
+    console.error('ANTHROPIC_API_KEY not set — using rule-based guesses for the rest');
+  }
 
-  let text = response.content[0].text.trim();
-  text = text.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
-  return JSON.parse(text);
+  // Duplicate listings get suffixed ids, as in publish()
+  return assignIds([], buildEvents(raw, allEnriched, state.venues));
 }
 
 async function run() {
-  console.error('Fetching 19hz...');
-  const res = await fetch(SOURCE_URL);
-  const html = await res.text();
-  const raw = parseEvents(html);
-  console.error(`Parsed ${raw.length} events`);
-
-  // Enrich in batches
-  const allEnriched = [];
-  for (let i = 0; i < raw.length; i += BATCH_SIZE) {
-    const batch = raw.slice(i, i + BATCH_SIZE);
-    console.error(`Enriching batch ${Math.floor(i / BATCH_SIZE) + 1} (${batch.length} events)...`);
-    const enriched = await enrichBatch(batch);
-    allEnriched.push(...enriched);
+  if (!festival) throw new Error(`Unknown festival: ${festivalId}`);
+  if (htmlIdx > -1 && !htmlFile) throw new Error('--html needs a file');
+  const state = STATES.get(festival.id);
+  let events;
+  if (fromSnapshot) {
+    events = loadSnapshot(state);
+    if (events.length === 0) throw new Error(`No events in ${path.relative(__dirname, state.files.events)} — run a refresh first`);
+  } else {
+    events = await enrichListing(state);
   }
-  console.error(`Enriched ${allEnriched.length} events total`);
-
-  // Assemble final events
-  const events = raw.map((r, i) => ({
-    day: r.day,
-    name: allEnriched[i]?.name || r.titlePart,
-    artists: allEnriched[i]?.artists || '',
-    venue: r.venue,
-    area: r.area,
-    startHour: r.startHour,
-    timeDisplay: r.timeRaw,
-    type: allEnriched[i]?.type || 'night',
-    genres: r.genres,
-    priceRaw: parsePrice(r.priceStr),
-    priceDisplay: r.priceStr || 'TBA',
-    age: r.age,
-    link: r.link,
-  }));
 
-  // Output as JS
   const days = {};
   events.forEach(e => { days[e.day] = (days[e.day] || 0) + 1; });
   console.error('\nEvents by day:');
   Object.entries(days).sort().forEach(([d, n]) => console.error(`  ${d}: ${n}`));
 
-  console.log(JSON.stringify(events, null, 2));
+  const file = path.join(__dirname, 'fallback', `${festival.id}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ updatedAt: new Date().toISOString(), fallback: true, events }, null, 2) + '\n');
+  console.error(`\nWritten ${events.length} events to ${path.relative(__dirname, file)}`);
 }
 
 run().catch(err => {
@@ -2,47 +2,105 @@ const express = require('express');
 const cron = require('node-cron');
 const fetch = require('node-fetch');
 const cheerio = require('cheerio');
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { enrichWithRules } = require('./lib/rules');
+const { createClient, enrichAll } = require('./lib/enrich');
+const { parseTimeRange } = require('./lib/times');
+const { buildCalendar } = require('./lib/ical');
+const { attachLineups, buildArtistIndex } = require('./lib/artists');
+const { loadFestivals, dayKeyInRange, dayKeyAfter, publicConfig } = require('./lib/festivals');
+const { newRun, estimateCost, checkScrape, loadRuns, saveRuns, summarize } = require('./lib/health');
+const { loadOverrides, saveOverrides, venueKey, applyOverrides, setEventOverride, setVenueOverride } = require('./lib/overrides');
+const { FILTER_VALUES, SORTS, eventDays, areaValues, matchEvent } = require('./public/filters');
+const { parsePrice, cheapest } = require('./public/price');
+const { loadVenues, findVenue } = require('./lib/venues');
+const { loadCrews, saveCrews, createCrew, addMember, memberForToken, removeMember, setPlan, importPlans, publicCrew } = require('./lib/crews');
+const { eventId, assignIds, diffEvents, loadChangelog, saveChangelog, queryChanges } = require('./lib/changelog');
 
 const app = express();
-const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-const EVENTS_FILE = path.join(__dirname, 'public', 'events.json');
-const SOURCE_URL = 'https://19hz.info/eventlisting_Miami.php';
-// MMW 2026 full range: Wed Mar 18 through Wed Apr 1
+const client = createClient();
 const MONTH_MAP = { Jan:0, Feb:1, Mar:2, Apr:3, May:4, Jun:5, Jul:6, Aug:7, Sep:8, Oct:9, Nov:10, Dec:11 };
-const RANGE_START = new Date(2026, 2, 18); // March 18
-const RANGE_END   = new Date(2026, 3, 1);  // April 1
 
-// ── Serve static files ─────────────────────────────────────────────────────
-app.use(express.static(path.join(__dirname, 'public')));
+// ── Festivals ───────────────────────────────────────────────────────────────
+// One pipeline per enabled entry in festivals.json, each with its own
+// events.json, enrichment cache and changelog. The first (default) festival
+// keeps the original file locations; the rest live under data/<id>/. The
+// venue registry is hand-maintained, so it's checked in as venues/<id>.json.
+const FESTIVALS = loadFestivals();
+const DEFAULT_FESTIVAL = FESTIVALS[0];
+
+function festivalFiles(festival) {
+  const venues = path.join(__dirname, 'venues', `${festival.id}.json`);
+  const fallback = path.join(__dirname, 'fallback', `${festival.id}.json`);
+  if (festival === DEFAULT_FESTIVAL) {
+    return {
+      events: path.join(__dirname, 'public', 'events.json'),
+      cache: path.join(__dirname, 'enrichment-cache.json'),
+      changelog: path.join(__dirname, 'changelog.json'),
+      runs: path.join(__dirname, 'runs.json'),
+      overrides: path.join(__dirname, 'overrides.json'),
+      crews: path.join(__dirname, 'crews.json'),
+      venues,
+      fallback,
+    };
+  }
+  const dir = path.join(__dirname, 'data', festival.id);
+  return {
+    events: path.join(dir, 'events.json'),
+    cache: path.join(dir, 'enrichment-cache.json'),
+    changelog: path.join(dir, 'changelog.json'),
+    runs: path.join(dir, 'runs.json'),
+    overrides: path.join(dir, 'overrides.json'),
+    crews: path.join(dir, 'crews.json'),
+    venues,
+    fallback,
+  };
+}
 
 // ── Parse 19hz HTML into raw event objects ─────────────────────────────────
-function parseEvents(html) {
+// Returns { events, rows, failedRows }: `rows` counts listing rows (4+ cells)
+// and `failedRows` those with no readable date or no "@ venue", which is
+// what a markup change looks like.
+function parseListing(html, festival = DEFAULT_FESTIVAL) {
   const $ = cheerio.load(html);
   const raw = [];
+  let rows = 0;
+  let failedRows = 0;
 
   $('table tr').each((_, row) => {
     const cells = $(row).find('td');
     if (cells.length < 4) return;
+    rows++;
 
     const dateCell = $(cells[0]).text().trim();
 
     // Extract date: "Fri: Mar 27  (12pm-11pm)" → "Mar", "27"
     const dateMatch = dateCell.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d+)/);
-    if (!dateMatch) return;
-    const eventDate = new Date(2026, MONTH_MAP[dateMatch[1]], parseInt(dateMatch[2]));
-    if (eventDate < RANGE_START || eventDate > RANGE_END) return;
+    if (!dateMatch) {
+      failedRows++;
+      return;
+    }
 
-    // ISO date key: '2026-03-27'
-    const mm = String(eventDate.getMonth() + 1).padStart(2, '0');
-    const dd = String(eventDate.getDate()).padStart(2, '0');
-    const dayKey = `2026-${mm}-${dd}`;
+    // ISO date key: '2026-03-27', or null outside the festival's range
+    const dayKey = dayKeyInRange(festival, MONTH_MAP[dateMatch[1]], parseInt(dateMatch[2]));
+    if (!dayKey) return;
 
     const timeMatch = dateCell.match(/\(([^)]+)\)/);
     const timeRaw = timeMatch ? timeMatch[1] : '';
 
+    // Multi-day listings put a range in the date column: "Fri: Mar 27 - Sun: Mar 29"
+    // or "Mar 27-29". The time in parentheses is then the daily hours.
+    let lastDay = dayKey;
+    const rangeMatch = dateCell.replace(/\([^)]*\)/g, '')
+      .match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d+\s*[-–]\s*(?:(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)[a-z]*:?\s*)?(?:(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+)?(\d+)/);
+    if (rangeMatch) {
+      lastDay = dayKeyAfter(dayKey, MONTH_MAP[rangeMatch[2] || rangeMatch[1]], parseInt(rangeMatch[3])) || dayKey;
+    }
+    const { startAt, endAt, days: spanned } = parseTimeRange(dayKey, timeRaw, lastDay, festival.timezone);
+    const days = spanned.filter(d => d <= festival.end);
+
     // Parse startHour from time string
     const startMatch = timeRaw.match(/^(\d+)(?::(\d+))?(am|pm)/i);
     let startHour = 0;
@@ -61,6 +119,7 @@ function parseEvents(html) {
 
     // Split on @ to get title+artists vs venue+area
     const atIdx = eventCell.indexOf(' @ ');
+    if (atIdx === -1) failedRows++;
     const titlePart = atIdx > -1 ? eventCell.slice(0, atIdx).trim() : eventCell;
 
     let venuePart = atIdx > -1 ? eventCell.slice(atIdx + 3) : '';
@@ -78,164 +137,835 @@ function parseEvents(html) {
     const priceStr = pipeIdx > -1 ? priceAgeStr.slice(0, pipeIdx).trim() : priceAgeStr;
     const age = pipeIdx > -1 ? priceAgeStr.slice(pipeIdx + 1).trim() : 'TBA';
 
-    raw.push({ day: dayKey, titlePart, venue, area, genres, priceStr, age, timeRaw, startHour, link });
+    raw.push({ day: dayKey, days, titlePart, venue, area, genres, priceStr, age, timeRaw, startAt, endAt, startHour, link });
   });
 
-  return raw;
+  return { events: raw, rows, failedRows };
 }
 
-// ── Extract numeric price from string ──────────────────────────────────────
-function parsePrice(str) {
-  if (!str || /free/i.test(str)) return 0;
-  const m = str.match(/\$(\d+)/);
-  return m ? parseInt(m[1]) : 0;
+function parseEvents(html, festival = DEFAULT_FESTIVAL) {
+  return parseListing(html, festival).events;
 }
 
-// ── Claude enrichment: infer type + split name vs artists ──────────────────
-async function enrichWithClaude(rawEvents) {
-  const prompt = `You are enriching event data for a Miami Music Week event tracker.
+// ── Enrichment cache ────────────────────────────────────────────────────────
+// Keyed by "day|titlePart|venue" → { name, artists, type, source }
+// `source` is the enricher that produced the entry: "rules", "claude", or
+// "fallback" (a rules best guess stored because Claude was unavailable —
+// retried with Claude on the next refresh that has an API key).
+// Persisted to disk (one file per festival) so deploys don't re-enrich.
+function cacheKey(raw) {
+  return `${raw.day}|${raw.titlePart}|${raw.venue}`;
+}
 
-For each event below, return a JSON array (same order, same length) where each element has exactly these fields:
+function loadCache(file) {
+  const cache = new Map();
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(data).forEach(([k, v]) => cache.set(k, v));
+  } catch (_) {
+    // No cache file yet — will enrich on first run
+  }
+  return cache;
+}
 
-- "name" (string): The event brand, series, or party name. Split this from the artist list. If the title is just an artist name with no event brand, use the artist name.
-- "artists" (string): The full artist lineup as a comma-separated string. If the name already covers the only artist, use an empty string "".
-- "type" (string): One of "pool", "outdoor", "night", "festival", "cruise"
-  - "pool" — hotel pool party (e.g. Surfcomber, Sagamore, National Hotel, Strawberry Moon)
-  - "outdoor" — open-air non-pool (Wynwood lots, parks, beaches, racetracks, islands, Factory Town)
-  - "night" — indoor nightclub or venue (Club Space, Floyd, E11even, Do Not Sit, etc.)
-  - "festival" — multi-stage festival (Ultra, etc.)
-  - "cruise" — boat/yacht event
+function saveCache(state) {
+  writeFile(state.files.cache, JSON.stringify(Object.fromEntries(state.cache), null, 2));
+}
 
-Example input:
-0: title="Black Book Records: Chris Lake, Eats Everything, Ragie Ban" venue="Toe Jam Backlot" area="Miami" genres="tech house"
-1: title="Deadmau5" venue="Toe Jam Backlot" area="Miami" genres="progressive, electro"
+// Like fs.writeFileSync, creating data/<id>/ on first write
+function writeFile(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
 
-Example output:
-[{"name":"Black Book Records","artists":"Chris Lake, Eats Everything, Ragie Ban","type":"outdoor"},{"name":"Deadmau5","artists":"","type":"outdoor"}]
+// ── Enrichment pipeline ─────────────────────────────────────────────────────
+// Rules first; only rows the rules can't resolve confidently go to Claude.
+// Anything Claude can't handle (no key, API error, missing item) keeps the
+// rules best guess as a "fallback" entry. `skipRules` sends every row to
+// Claude (admin re-enrichment).
+async function enrichNewEvents(state, newEvents, hasClaude, run, { skipRules = false } = {}) {
+  const { cache, festival } = state;
+  const unresolved = [];
+  newEvents.forEach(raw => {
+    const { confident, ...guess } = enrichWithRules(raw);
+    if (confident && !skipRules) cache.set(cacheKey(raw), { ...guess, source: 'rules' });
+    else unresolved.push(raw);
+  });
+  console.log(`${newEvents.length} new event(s) detected — ${newEvents.length - unresolved.length} resolved by rules`);
 
-Respond ONLY with the raw JSON array. No markdown fences, no explanation, no trailing text.
+  const setFallback = raw => {
+    const { confident, ...guess } = enrichWithRules(raw);
+    cache.set(cacheKey(raw), { ...guess, source: 'fallback' });
+  };
 
-Events:
-${rawEvents.map((e, i) => `${i}: title="${e.titlePart}" venue="${e.venue}" area="${e.area}" genres="${e.genres.join(', ')}"`).join('\n')}`;
+  if (unresolved.length === 0) return;
+  if (!hasClaude) {
+    console.log(`ANTHROPIC_API_KEY not set — ${unresolved.length} event(s) use rule-based fallback`);
+    unresolved.forEach(setFallback);
+    return;
+  }
 
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-6',
-    max_tokens: 16384,
-    messages: [{ role: 'user', content: prompt }],
+  console.log(`Enriching ${unresolved.length} event(s) with Claude...`);
+  // Validated, matched by index and retried in lib/enrich.js; null = gave up
+  const { results, errors } = await enrichAll(client, unresolved, festival, { tokens: run.tokens, log: console.log });
+  unresolved.forEach((raw, i) => {
+    if (!results[i]) return setFallback(raw);
+    cache.set(cacheKey(raw), { ...results[i], source: 'claude' });
   });
-
-  let text = response.content[0].text.trim();
-  // Strip markdown fences if Claude wraps the JSON despite instructions
-  text = text.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
-  return JSON.parse(text);
+  errors.forEach(err => console.error(err));
+  run.errors.push(...errors);
 }
 
-// ── Enrichment cache ────────────────────────────────────────────────────────
-// Keyed by "day|titlePart|venue" → { name, artists, type }
-// Persisted to disk so deploys don't re-enrich.
-const CACHE_FILE = path.join(__dirname, 'enrichment-cache.json');
-const enrichmentCache = new Map();
-
-function cacheKey(raw) {
-  return `${raw.day}|${raw.titlePart}|${raw.venue}`;
+// ── Per-festival state ──────────────────────────────────────────────────────
+// { festival, files, cache, overrides, venues, crews, changelog, runs,
+// refreshing, published, clients }.
+// The changelog holds added / removed / modified events across refreshes,
+// `runs` one health record per refresh; both newest last. `published` is the
+// last parse as [{ key, raw, event }], for the admin page and for republishing
+// after an edit without refetching 19hz. `clients` are the open /api/stream
+// responses. `venues` is the registry from lib/venues.js, reread on every
+// refresh so edits to the file apply without a restart. `crews` are the shared
+// plans from lib/crews.js.
+const STATES = new Map(FESTIVALS.map(festival => {
+  const files = festivalFiles(festival);
+  const state = {
+    festival,
+    files,
+    cache: loadCache(files.cache),
+    overrides: loadOverrides(files.overrides),
+    venues: loadVenues(files.venues),
+    crews: loadCrews(files.crews),
+    changelog: loadChangelog(files.changelog),
+    runs: loadRuns(files.runs),
+    refreshing: false,
+    published: [],
+    clients: new Set(),
+  };
+  console.error(`Loaded enrichment cache for ${festival.id}: ${state.cache.size} entries, ${state.venues.venues.length} venues`);
+  return [festival.id, state];
+}));
+const DEFAULT_STATE = STATES.get(DEFAULT_FESTIVAL.id);
+
+// Previous events.json, used as the baseline for the next diff
+function loadSnapshot(state) {
+  try {
+    const data = JSON.parse(fs.readFileSync(state.files.events, 'utf8'));
+    const events = data.events || [];
+    // Snapshots written before ids existed — derive one from what we have
+    events.forEach(e => { if (!e.id) e.id = eventId({ day: e.day, venue: e.venue, titlePart: e.name }); });
+    if (events.some(e => !e.lineup)) attachLineups(events);
+    return events;
+  } catch (_) {
+    return [];
+  }
 }
 
-// Load cache from disk on startup
-try {
-  const data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-  Object.entries(data).forEach(([k, v]) => enrichmentCache.set(k, v));
-  console.error(`Loaded enrichment cache: ${enrichmentCache.size} entries`);
-} catch (_) {
-  // No cache file yet — will enrich on first run
+// ── Main refresh pipeline ──────────────────────────────────────────────────
+// Every run is recorded in state.runs (see lib/health.js). A failed or
+// suspicious scrape leaves the previous events.json in place.
+async function refresh(state = DEFAULT_STATE) {
+  const { festival } = state;
+  if (state.refreshing) {
+    console.warn(`${festival.shortName} refresh still running — skipping this tick`);
+    return;
+  }
+  state.refreshing = true;
+  const run = newRun();
+  console.log(`[${run.at}] Refreshing ${festival.shortName} events...`);
+  try {
+    await runRefresh(state, run);
+  } catch (err) {
+    console.error(`Refresh failed for ${festival.shortName}:`, err.message);
+    skipRun(run, 'failed', err.message);
+  } finally {
+    state.refreshing = false;
+    run.durationMs = Date.now() - Date.parse(run.at);
+    run.costUsd = estimateCost(run.tokens);
+    state.runs.push(run);
+    fs.mkdirSync(path.dirname(state.files.runs), { recursive: true });
+    saveRuns(state.files.runs, state.runs);
+  }
 }
 
-function saveCache() {
-  const obj = Object.fromEntries(enrichmentCache);
-  fs.writeFileSync(CACHE_FILE, JSON.stringify(obj, null, 2));
+function skipRun(run, outcome, reason) {
+  run.outcome = outcome;
+  run.errors.push(reason);
 }
 
-// ── Main refresh pipeline ──────────────────────────────────────────────────
-async function refresh() {
-  console.log(`[${new Date().toISOString()}] Refreshing events...`);
+async function runRefresh(state, run) {
+  const { festival, cache } = state;
+
+  // A broken registry edit shouldn't stop refreshes — keep the last good one
+  try {
+    state.venues = loadVenues(state.files.venues);
+  } catch (err) {
+    console.error('Venue registry:', err.message);
+    run.errors.push(`Venues: ${err.message}`);
+  }
 
   let html;
   try {
-    const res = await fetch(SOURCE_URL);
+    const res = await fetch(festival.sourceUrl);
+    run.httpStatus = res.status;
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
     html = await res.text();
   } catch (err) {
     console.error('Failed to fetch 19hz:', err.message);
-    return;
+    return skipRun(run, 'failed', `Fetch: ${err.message}`);
   }
 
-  const rawEvents = parseEvents(html);
-  console.log(`Parsed ${rawEvents.length} events for MMW 2026`);
+  const { events: rawEvents, rows, failedRows } = parseListing(html, festival);
+  Object.assign(run, { rows, failedRows, parsed: rawEvents.length });
+  console.log(`Parsed ${rawEvents.length} events for ${festival.shortName} (${failedRows}/${rows} rows unparseable)`);
 
   if (rawEvents.length === 0) {
     console.warn('No events parsed — skipping write');
-    return;
+    return skipRun(run, 'failed', 'No events parsed');
   }
 
-  // Find events not yet in the enrichment cache
-  const newEvents = rawEvents.filter(r => !enrichmentCache.has(cacheKey(r)));
+  const previous = loadSnapshot(state);
+  run.previous = previous.length;
+  const anomaly = checkScrape({ rows, failedRows, parsed: rawEvents.length, previous, timezone: festival.timezone });
+  if (anomaly && process.env.REFRESH_GUARD !== 'off') {
+    console.warn(`${anomaly} — keeping the previous snapshot`);
+    return skipRun(run, 'rejected', anomaly);
+  }
+
+  // Find events not yet in the enrichment cache, plus earlier fallbacks
+  // once Claude is available again
+  const hasClaude = Boolean(process.env.ANTHROPIC_API_KEY);
+  const newEvents = rawEvents.filter(r => {
+    const cached = cache.get(cacheKey(r));
+    return !cached || (hasClaude && cached.source === 'fallback');
+  });
 
+  run.newEvents = newEvents.length;
   if (newEvents.length > 0) {
-    console.log(`${newEvents.length} new event(s) detected — enriching with Claude...`);
-    // Batch in groups of 50 to stay within output token limits
-    const BATCH_SIZE = 50;
-    for (let i = 0; i < newEvents.length; i += BATCH_SIZE) {
-      const batch = newEvents.slice(i, i + BATCH_SIZE);
-      const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(newEvents.length / BATCH_SIZE);
-      if (totalBatches > 1) console.log(`  Batch ${batchNum}/${totalBatches} (${batch.length} events)`);
-      try {
-        const enriched = await enrichWithClaude(batch);
-        batch.forEach((raw, j) => {
-          enrichmentCache.set(cacheKey(raw), {
-            name: enriched[j]?.name || raw.titlePart,
-            artists: enriched[j]?.artists || '',
-            type: enriched[j]?.type || 'night',
-          });
-        });
-      } catch (err) {
-        console.error(`Claude enrichment failed (batch ${batchNum}):`, err.message);
-        batch.forEach(raw => {
-          if (!enrichmentCache.has(cacheKey(raw))) {
-            enrichmentCache.set(cacheKey(raw), { name: raw.titlePart, artists: '', type: 'night' });
-          }
-        });
-      }
-    }
-    saveCache();
+    await enrichNewEvents(state, newEvents, hasClaude, run);
+    saveCache(state);
+    newEvents.forEach(raw => { run.enriched[cache.get(cacheKey(raw)).source]++; });
   } else {
     console.log('No new events — skipping enrichment');
   }
 
-  // Build final events using fresh parsed data + cached enrichments
-  const events = rawEvents.map(raw => {
-    const cached = enrichmentCache.get(cacheKey(raw)) || { name: raw.titlePart, artists: '', type: 'night' };
+  const events = publish(state, rawEvents);
+  run.unknownVenues = [...new Set(events.filter(e => !e.venueId && e.venue && e.venue !== 'TBA').map(e => e.venue))].sort();
+  if (run.unknownVenues.length > 0) console.log(`Venues not in the registry: ${run.unknownVenues.join(', ')}`);
+  run.outcome = 'ok';
+}
+
+// Parsed rows + one { name, artists, type } each → published events, with
+// lineups. Also used by seed-fallback.js.
+function buildEvents(rawEvents, enriched, venues) {
+  const events = rawEvents.map((raw, i) => {
+    const price = parsePrice(raw.priceStr);
+    const venue = findVenue(venues, raw.venue);
     return {
+      id: eventId(raw),
       day: raw.day,
-      name: cached.name,
-      artists: cached.artists,
+      days: raw.days,
+      name: enriched[i].name,
+      artists: enriched[i].artists,
       venue: raw.venue,
+      venueId: venue ? venue.id : null,
       area: raw.area,
+      startAt: raw.startAt,
+      endAt: raw.endAt,
       startHour: raw.startHour,
       timeDisplay: raw.timeRaw,
-      type: cached.type,
+      type: enriched[i].type,
       genres: raw.genres,
-      priceRaw: parsePrice(raw.priceStr),
+      price,
+      priceRaw: cheapest(price) ?? 0, // legacy: cheapest way in, 0 if free or unknown
       priceDisplay: raw.priceStr || 'TBA',
       age: raw.age,
       link: raw.link,
     };
   });
+  attachLineups(events);
+  return events;
+}
+
+// Builds events from parsed rows + cached enrichments + admin overrides,
+// diffs them against the last snapshot and writes events.json. Returns the
+// events.
+function publish(state, rawEvents) {
+  const { cache, overrides, venues, changelog, files } = state;
+  const enrich = ids => rawEvents.map((raw, i) =>
+    applyOverrides(cache.get(cacheKey(raw)) || enrichWithRules(raw), ids ? ids[i] : null, raw.venue, overrides));
+
+  // Ids carry over from the last snapshot, and admin edits are keyed by id,
+  // so the ids come first and the edits go on top
+  const previous = loadSnapshot(state);
+  const ids = assignIds(previous, buildEvents(rawEvents, enrich(), venues)).map(e => e.id);
+  const events = buildEvents(rawEvents, enrich(ids), venues);
+  events.forEach((e, i) => { e.id = ids[i]; });
+
+  // Diff against the last snapshot. A cold start with no snapshot is the
+  // baseline, not "everything was added".
+  const updatedAt = new Date().toISOString();
+  let changes = null;
+  if (previous.length > 0) {
+    changes = diffEvents(previous, events, updatedAt);
+    if (changes.length > 0) {
+      changelog.push(...changes);
+      saveChangelog(files.changelog, changelog);
+      const count = kind => changes.filter(c => c.kind === kind).length;
+      console.log(`Changes: ${count('added')} added, ${count('removed')} removed, ${count('modified')} modified`);
+    }
+  }
+
+  writeFile(files.events, JSON.stringify({ updatedAt, events }, null, 2));
+  console.log(`Written ${events.length} events to ${path.relative(__dirname, files.events)} (cache: ${cache.size} entries)`);
+  state.published = rawEvents.map((raw, i) => ({ key: cacheKey(raw), raw, event: events[i] }));
+  broadcastUpdate(state, updatedAt, events, changes);
+  return events;
+}
+
+// Festivals one after another — they share the Claude rate limit
+async function refreshAll() {
+  for (const state of STATES.values()) await refresh(state);
+}
+
+// ── Routes ──────────────────────────────────────────────────────────────────
+// Every festival gets the same routes under /<id>/ (the default festival is
+// also mounted at /). Handlers read the festival's state from req.state.
+const routes = express.Router();
+
+// /<id> → /<id>/ so the page's relative URLs resolve under the festival
+routes.get('/', (req, res, next) => {
+  const [pathname, query] = req.originalUrl.split('?');
+  if (!pathname.endsWith('/')) return res.redirect(301, pathname + '/' + (query ? '?' + query : ''));
+  next();
+});
+
+// Until the first refresh writes events.json, serve the committed fallback
+// (marked "fallback": true). Only seed-fallback.js writes that file.
+routes.get('/events.json', (req, res) => {
+  const { files } = req.state;
+  res.sendFile(files.events, err => {
+    if (!err || res.headersSent) return;
+    res.sendFile(files.fallback, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'No events yet — first refresh still running' });
+    });
+  });
+});
+
+// Web app manifest, per festival so each installs under its own name.
+// start_url / scope "." keep the installed app inside /<id>/.
+routes.get('/manifest.webmanifest', (req, res) => {
+  const { festival } = req.state;
+  res.type('application/manifest+json').json({
+    name: `${festival.shortName} — Event Tracker`,
+    short_name: festival.shortName,
+    description: `${festival.name} events from 19hz.info — works offline`,
+    start_url: '.',
+    scope: '.',
+    display: 'standalone',
+    background_color: '#080a0f',
+    theme_color: '#080a0f',
+    icons: [{ src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }],
+  });
+});
+
+routes.use(express.static(path.join(__dirname, 'public')));
+
+// GET /api/festival — name, dates, timezone, area buckets and the venue
+// registry for the UI
+routes.get('/api/festival', (req, res) => {
+  res.json({ ...publicConfig(req.state.festival), venues: req.state.venues.venues });
+});
+
+// ── Status API ──────────────────────────────────────────────────────────────
+// GET /api/status?limit=  — refresh health and the most recent runs
+routes.get('/api/status', (req, res) => {
+  let snapshotAt = null;
+  try {
+    snapshotAt = JSON.parse(fs.readFileSync(req.state.files.events, 'utf8')).updatedAt || null;
+  } catch (_) {
+    // No snapshot yet
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || 20));
+  res.json({
+    festival: req.state.festival.id,
+    refreshing: req.state.refreshing,
+    snapshotAt,
+    ...summarize(req.state.runs, { snapshotAt, limit }),
+  });
+});
+
+// ── Live updates ────────────────────────────────────────────────────────────
+// GET /api/stream — Server-Sent Events. Each publish sends an `update` with
+// the changelog entries it added and the current version of each modified
+// event, so open pages can patch in place instead of reloading.
+const HEARTBEAT_MS = 25 * 1000;
+
+routes.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise hold the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
+  req.state.clients.add(res);
+  req.on('close', () => req.state.clients.delete(res));
+});
+
+function send(state, name, data) {
+  const message = `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  state.clients.forEach(res => res.write(message));
+}
+
+// `changes` is null on a cold start — there's nothing to diff against, so
+// pages are told to reload the snapshot instead
+function broadcastUpdate(state, updatedAt, events, changes) {
+  if (state.clients.size === 0) return;
+  if (!changes) return send(state, 'update', { updatedAt, reload: true });
+  // Added and removed entries already carry the event; modified ones don't
+  const modified = new Set(changes.filter(c => c.kind === 'modified').map(c => c.id));
+  send(state, 'update', { updatedAt, changes, events: events.filter(e => modified.has(e.id)) });
+}
+
+// Comments keep idle connections from being cut by proxies
+setInterval(() => {
+  STATES.forEach(state => state.clients.forEach(res => res.write(': ping\n\n')));
+}, HEARTBEAT_MS).unref();
+
+// ── Admin API ───────────────────────────────────────────────────────────────
+// Corrections that survive re-enrichment (see lib/overrides.js). Disabled
+// unless ADMIN_TOKEN is set; send it as "Authorization: Bearer <token>".
+// GET    /api/admin/entries          — current rows with cache + override
+// PUT    /api/admin/entries/:id      — { name?, artists?, type? }, locks the row
+// DELETE /api/admin/entries/:id      — drop the override (unlock)
+// POST   /api/admin/reenrich         — { ids: [...] }, re-run Claude on rows
+// PUT    /api/admin/venues/:venue    — { type }, venue → type override
+// DELETE /api/admin/venues/:venue
+// Rows are addressed by event id.
+const VALID_TYPES = FILTER_VALUES.type;
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ error: 'Admin disabled — set ADMIN_TOKEN' });
+  const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(given), digest(token))) return res.status(401).json({ error: 'Invalid admin token' });
+  next();
+}
+
+// Like queryRoute, for async handlers; thrown errors are the caller's fault
+// unless they carry a status
+function jsonRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req));
+    } catch (err) {
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  };
+}
+
+// express.json() that answers a body it can't parse (bad JSON, too large)
+// with { error } like jsonRoute, not Express's HTML error page
+const jsonBody = [express.json(), (err, req, res, next) => {
+  res.status(err.status || 400).json({ error: err.expose ? err.message : 'Invalid request body' });
+}];
+
+function notFound(message) {
+  return Object.assign(new Error(message), { status: 404 });
+}
+
+function persistOverrides(state) {
+  fs.mkdirSync(path.dirname(state.files.overrides), { recursive: true });
+  saveOverrides(state.files.overrides, state.overrides);
+}
 
-  fs.writeFileSync(EVENTS_FILE, JSON.stringify({ updatedAt: new Date().toISOString(), events }, null, 2));
-  console.log(`Written ${events.length} events to events.json (cache: ${enrichmentCache.size} entries)`);
+// Re-publish the last parse so an edit shows up without waiting for cron
+function republish(state) {
+  if (state.published.length > 0) publish(state, state.published.map(p => p.raw));
 }
 
+function publishedEntry(state, id) {
+  const entry = state.published.find(p => p.event.id === id);
+  if (!entry) throw notFound(`Unknown event: ${id}`);
+  return entry;
+}
+
+routes.use('/api/admin', jsonBody, requireAdmin);
+
+routes.get('/api/admin/entries', (req, res) => {
+  const { cache, overrides, published } = req.state;
+  res.json({
+    types: VALID_TYPES,
+    venues: overrides.venues,
+    entries: published.map(({ key, raw, event }) => ({
+      key,
+      id: event.id,
+      day: raw.day,
+      title: raw.titlePart,
+      venue: raw.venue,
+      area: raw.area,
+      published: { name: event.name, artists: event.artists, type: event.type },
+      cache: cache.get(key) || null,
+      override: overrides.events[event.id] || null,
+    })),
+  });
+});
+
+routes.put('/api/admin/entries/:id', jsonRoute(req => {
+  const { id } = publishedEntry(req.state, req.params.id).event;
+  const override = setEventOverride(req.state.overrides, id, req.body || {}, VALID_TYPES);
+  persistOverrides(req.state);
+  republish(req.state);
+  return { id, override };
+}));
+
+routes.delete('/api/admin/entries/:id', jsonRoute(req => {
+  const { overrides } = req.state;
+  if (!overrides.events[req.params.id]) throw notFound(`No override for: ${req.params.id}`);
+  delete overrides.events[req.params.id];
+  persistOverrides(req.state);
+  republish(req.state);
+  return { id: req.params.id, override: null };
+}));
+
+// Holds the refresh lock while it runs, so the two can't overwrite each
+// other's cache and events.json
+routes.post('/api/admin/reenrich', jsonRoute(async req => {
+  const ids = [].concat(req.body?.ids || []);
+  if (ids.length === 0) throw new Error('Missing "ids"');
+  const entries = ids.map(id => publishedEntry(req.state, id));
+  const raws = entries.map(entry => entry.raw);
+  if (req.state.refreshing) throw Object.assign(new Error('A refresh is running — try again when it finishes'), { status: 409 });
+  req.state.refreshing = true;
+  const run = newRun();
+  const hasClaude = Boolean(process.env.ANTHROPIC_API_KEY);
+  if (!hasClaude) run.errors.push('ANTHROPIC_API_KEY not set — rows got the rule-based fallback');
+  try {
+    await enrichNewEvents(req.state, raws, hasClaude, run, { skipRules: true });
+    saveCache(req.state);
+    republish(req.state);
+  } finally {
+    req.state.refreshing = false;
+  }
+  return {
+    entries: entries.map(({ key, event }) => ({ id: event.id, key, cache: req.state.cache.get(key) })),
+    tokens: run.tokens,
+    costUsd: estimateCost(run.tokens),
+    errors: run.errors,
+  };
+}));
+
+routes.put('/api/admin/venues/:venue', jsonRoute(req => {
+  setVenueOverride(req.state.overrides, req.params.venue, req.body?.type, VALID_TYPES);
+  persistOverrides(req.state);
+  republish(req.state);
+  return { venues: req.state.overrides.venues };
+}));
+
+routes.delete('/api/admin/venues/:venue', jsonRoute(req => {
+  const { venues } = req.state.overrides;
+  if (!venues[venueKey(req.params.venue)]) throw notFound(`No override for venue: ${req.params.venue}`);
+  delete venues[venueKey(req.params.venue)];
+  persistOverrides(req.state);
+  republish(req.state);
+  return { venues };
+}));
+
+// ── Crews API ───────────────────────────────────────────────────────────────
+// Shared plans (see lib/crews.js). The crew id in the URL is the share link's
+// secret; changing plans also needs "Authorization: Bearer <member token>",
+// handed out on create / join.
+// POST   /api/crews                        — { name, member } → { crew, member, token }
+// GET    /api/crews/:id                    — members + attendance per event id
+// POST   /api/crews/:id/members            — { name } → { crew, member, token }
+// DELETE /api/crews/:id/members/me         — leave, dropping your plans
+// PUT    /api/crews/:id/plans/:eventId     — { status: going | maybe | starred }
+// DELETE /api/crews/:id/plans/:eventId
+// POST   /api/crews/:id/import             — { ids: [...], status? }, e.g. local stars
+function persistCrews(state) {
+  fs.mkdirSync(path.dirname(state.files.crews), { recursive: true });
+  saveCrews(state.files.crews, state.crews);
+}
+
+function crewFor(req) {
+  const crew = Object.hasOwn(req.state.crews, req.params.id) ? req.state.crews[req.params.id] : null;
+  if (!crew) throw notFound(`Unknown crew: ${req.params.id}`);
+  return crew;
+}
+
+function crewMember(req, crew) {
+  const memberId = memberForToken(crew, (req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  if (!memberId) throw Object.assign(new Error('Not a member of this crew — join it first'), { status: 401 });
+  return memberId;
+}
+
+// The crew as members see it, attendance limited to current events
+function crewResponse(state, crew, extra = {}) {
+  const ids = new Set(loadSnapshot(state).map(e => e.id));
+  return { crew: publicCrew(crew, ids), ...extra };
+}
+
+routes.use('/api/crews', jsonBody);
+
+routes.post('/api/crews', jsonRoute(req => {
+  const { crew, member, token } = createCrew(req.state.crews, req.body || {});
+  persistCrews(req.state);
+  return crewResponse(req.state, crew, { member, token });
+}));
+
+routes.get('/api/crews/:id', jsonRoute(req => crewResponse(req.state, crewFor(req))));
+
+routes.post('/api/crews/:id/members', jsonRoute(req => {
+  const crew = crewFor(req);
+  const { member, token } = addMember(crew, req.body?.name);
+  persistCrews(req.state);
+  return crewResponse(req.state, crew, { member, token });
+}));
+
+routes.delete('/api/crews/:id/members/me', jsonRoute(req => {
+  const crew = crewFor(req);
+  removeMember(crew, crewMember(req, crew));
+  persistCrews(req.state);
+  return crewResponse(req.state, crew);
+}));
+
+routes.put('/api/crews/:id/plans/:eventId', jsonRoute(req => {
+  const crew = crewFor(req);
+  const memberId = crewMember(req, crew);
+  if (!loadSnapshot(req.state).some(e => e.id === req.params.eventId)) throw notFound(`Unknown event: ${req.params.eventId}`);
+  setPlan(crew, memberId, req.params.eventId, req.body?.status);
+  persistCrews(req.state);
+  return crewResponse(req.state, crew);
+}));
+
+routes.delete('/api/crews/:id/plans/:eventId', jsonRoute(req => {
+  const crew = crewFor(req);
+  setPlan(crew, crewMember(req, crew), req.params.eventId, null);
+  persistCrews(req.state);
+  return crewResponse(req.state, crew);
+}));
+
+routes.post('/api/crews/:id/import', jsonRoute(req => {
+  const crew = crewFor(req);
+  const memberId = crewMember(req, crew);
+  const known = new Set(loadSnapshot(req.state).map(e => e.id));
+  const ids = [].concat(req.body?.ids || []).map(String).filter(id => known.has(id));
+  const added = importPlans(crew, memberId, ids, req.body?.status || 'starred');
+  persistCrews(req.state);
+  return crewResponse(req.state, crew, { added });
+}));
+
+// ── Changelog API ───────────────────────────────────────────────────────────
+// GET /api/changes?since=<ISO or epoch ms>&id=<event id>
+routes.get('/api/changes', (req, res) => {
+  const { since, id } = req.query;
+  if (since && isNaN(since) && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: `Invalid "since": ${since}` });
+  }
+  res.json({ changes: queryChanges(req.state.changelog, { since, id }) });
+});
+
+// ── iCalendar feeds ─────────────────────────────────────────────────────────
+// GET /calendar.ics?day=&genre=&type=&area=&ids=  — subscribable feed
+// GET /calendar/:id.ics                           — single event download
+// Feed params are the same as /api/events (see parseCriteria below).
+
+// SEQUENCE / LAST-MODIFIED for an event, from its changelog history
+function calendarVersion(state, id) {
+  const history = queryChanges(state.changelog, { id }).filter(c => c.kind === 'modified');
+  return { sequence: history.length, lastModified: history.length ? history[history.length - 1].at : undefined };
+}
+
+function sendCalendar(req, res, events, name, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buildCalendar(events, {
+    festivalId: req.state.festival.id,
+    name,
+    timezone: req.state.festival.timezone,
+    versionOf: id => calendarVersion(req.state, id),
+  }));
+}
+
+routes.get('/calendar.ics', (req, res) => {
+  const { festival } = req.state;
+  let criteria;
+  try {
+    criteria = parseCriteria(req.query, festival);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const ids = listParam(req.query.ids);
+  const events = loadSnapshot(req.state).filter(e => (ids.length === 0 || ids.includes(e.id)) && matchEvent(e, criteria, matchOptions(req.state)));
+  // An explicit id list is a one-off export, so offer it as a download
+  if (req.query.ids) sendCalendar(req, res, events, `${festival.shortName} — My Week`, `${festival.id}-starred.ics`);
+  else sendCalendar(req, res, events, festival.shortName);
+});
+
+routes.get('/calendar/:id.ics', (req, res) => {
+  const event = loadSnapshot(req.state).find(e => e.id === req.params.id);
+  if (!event) return res.status(404).json({ error: `Unknown event: ${req.params.id}` });
+  sendCalendar(req, res, [event], event.name, `${event.id}.ics`);
+});
+
+// ── Query API ───────────────────────────────────────────────────────────────
+// Same filters as the UI, via the shared public/filters.js:
+//   day, time, area, type, genre, price — comma-separated or repeated, OR
+//   within a param, AND across params; q — free-text search; near=lat,lng
+//   with within=miles (default 5) — events at registry venues in range.
+// GET /api/events   ?sort=start|day|name|venue|price &order=asc|desc &page= &limit=
+// GET /api/events/:id
+// GET /api/venues   — venues of matching events, with counts and registry info
+// GET /api/artists  — normalized artists of matching events, with counts
+// GET /api/artists/:id
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DEFAULT_WITHIN_MILES = 5;
+
+function listParam(value) {
+  return [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// "25.79,-80.13" → { lat, lng, miles }, or null if `near` isn't given
+function parseNear(query) {
+  if (!query.near) {
+    if (query.within) throw new Error('"within" needs "near"');
+    return null;
+  }
+  const [lat, lng, extra] = String(query.near).split(',').map(Number);
+  if (extra !== undefined || !isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`Invalid "near": ${query.near} (expected lat,lng)`);
+  }
+  const miles = query.within ? Number(query.within) : DEFAULT_WITHIN_MILES;
+  if (!(miles > 0)) throw new Error(`Invalid "within": ${query.within} (expected miles > 0)`);
+  return { lat, lng, miles };
+}
+
+// Query string → matchEvent() criteria. Throws on unknown enumerated values;
+// areas are the festival's own buckets.
+function parseCriteria(query, festival) {
+  const criteria = { search: query.q ? String(query.q).trim() : '' };
+  ['day', 'time', 'area', 'type', 'genre', 'price'].forEach(f => {
+    criteria[f] = listParam(query[f]);
+    const allowed = f === 'area' ? areaValues(festival.areas) : FILTER_VALUES[f];
+    const bad = allowed && criteria[f].find(v => !allowed.includes(v));
+    if (bad) throw new Error(`Invalid "${f}": ${bad} (expected one of: ${allowed.join(', ')})`);
+  });
+  criteria.near = parseNear(query);
+  return criteria;
+}
+
+// Sorts and slices a list per ?sort/order/page/limit into a response body
+function paginate(items, query, key, sorts) {
+  const sort = query.sort || Object.keys(sorts)[0];
+  if (!sorts[sort]) throw new Error(`Invalid "sort": ${sort} (expected one of: ${Object.keys(sorts).join(', ')})`);
+  const order = query.order === 'desc' ? -1 : 1;
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const sorted = [...items].sort((a, b) => order * sorts[sort](a, b));
+  return { total: items.length, page, limit, [key]: sorted.slice((page - 1) * limit, page * limit) };
+}
+
+// Wraps a handler so bad query params come back as 400s
+function queryRoute(handler) {
+  return (req, res) => {
+    try {
+      res.json(handler(req));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+function matchOptions(state) {
+  return { areas: state.festival.areas, venues: state.venues.byId };
+}
+
+function matchingEvents(state, query) {
+  const criteria = parseCriteria(query, state.festival);
+  return loadSnapshot(state).filter(e => matchEvent(e, criteria, matchOptions(state)));
+}
+
+const COUNT_SORTS = {
+  count: (a, b) => b.eventCount - a.eventCount || a.name.localeCompare(b.name),
+  name:  (a, b) => a.name.localeCompare(b.name),
+};
+
+routes.get('/api/events', queryRoute(req => paginate(matchingEvents(req.state, req.query), req.query, 'events', SORTS)));
+
+routes.get('/api/events/:id', (req, res) => {
+  const event = loadSnapshot(req.state).find(e => e.id === req.params.id);
+  if (!event) return res.status(404).json({ error: `Unknown event: ${req.params.id}` });
+  res.json(event);
+});
+
+// For venues and artists, `q` searches their names rather than the events.
+// Registry venues are grouped by id (so "Floyd" and "Floyd Miami" are one)
+// and carry their coordinates; the rest by name and area, with nulls.
+routes.get('/api/venues', queryRoute(req => {
+  const byVenue = new Map();
+  matchingEvents(req.state, { ...req.query, q: '' }).forEach(e => {
+    const known = e.venueId ? req.state.venues.byId.get(e.venueId) : null;
+    const key = known ? known.id : `${e.venue}|${e.area}`;
+    if (!byVenue.has(key)) {
+      byVenue.set(key, {
+        name: known ? known.name : e.venue,
+        area: e.area,
+        venueId: known ? known.id : null,
+        neighborhood: known ? known.neighborhood : null,
+        setting: known ? known.setting : null,
+        lat: known ? known.lat : null,
+        lng: known ? known.lng : null,
+        eventCount: 0,
+        days: new Set(),
+        types: new Set(),
+        eventIds: [],
+      });
+    }
+    const v = byVenue.get(key);
+    v.eventCount++;
+    eventDays(e).forEach(d => v.days.add(d));
+    v.types.add(e.type);
+    v.eventIds.push(e.id);
+  });
+  const q = String(req.query.q || '').toLowerCase();
+  const venues = [...byVenue.values()]
+    .filter(v => !q || v.name.toLowerCase().includes(q))
+    .map(v => ({ ...v, days: [...v.days].sort(), types: [...v.types] }));
+  return paginate(venues, req.query, 'venues', COUNT_SORTS);
+}));
+
+routes.get('/api/artists', queryRoute(req => {
+  const q = String(req.query.q || '').toLowerCase();
+  const artists = buildArtistIndex(matchingEvents(req.state, { ...req.query, q: '' }))
+    .filter(a => !q || a.name.toLowerCase().includes(q) || a.id.includes(q));
+  return paginate(artists, req.query, 'artists', COUNT_SORTS);
+}));
+
+// One artist's appearances across the week, in start order
+routes.get('/api/artists/:id', (req, res) => {
+  const events = loadSnapshot(req.state)
+    .filter(e => (e.lineup || []).some(a => a.id === req.params.id))
+    .sort(SORTS.start);
+  if (events.length === 0) return res.status(404).json({ error: `Unknown artist: ${req.params.id}` });
+  const { name } = events[0].lineup.find(a => a.id === req.params.id);
+  res.json({ id: req.params.id, name, events });
+});
+
+// ── Mount per festival ──────────────────────────────────────────────────────
+// GET /api/festivals lists them; the default festival also answers at /
+app.get('/api/festivals', (req, res) => {
+  res.json({ festivals: FESTIVALS.map(f => ({ ...publicConfig(f), path: `/${f.id}/` })) });
+});
+
+STATES.forEach((state, id) => app.use(`/${id}`, (req, res, next) => { req.state = state; next(); }, routes));
+app.use('/', (req, res, next) => { req.state = DEFAULT_STATE; next(); }, routes);
+
 // ── Exports for test script ─────────────────────────────────────────────────
-module.exports = { parseEvents, parsePrice, enrichWithClaude, refresh, SOURCE_URL, RANGE_START, RANGE_END };
+const SOURCE_URL = DEFAULT_FESTIVAL.sourceUrl;
+module.exports = { parseEvents, buildEvents, cacheKey, loadSnapshot, refresh, FESTIVALS, STATES, SOURCE_URL };
 
 // ── Boot ───────────────────────────────────────────────────────────────────
 if (require.main === module) {
@@ -244,7 +974,7 @@ if (require.main === module) {
     console.log(`Server running on port ${PORT}`);
 
     // Run immediately on startup, then every 5 minutes
-    await refresh();
-    cron.schedule('*/5 * * * *', refresh);
+    await refreshAll();
+    cron.schedule('*/5 * * * *', refreshAll);
   });
 }
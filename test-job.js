@@ -1,29 +1,89 @@
 #!/usr/bin/env node
 // Test script — runs the scrape → parse → enrich pipeline and validates output.
-// Usage: node test-job.js
-//   ANTHROPIC_API_KEY must be set (via .env or environment)
+// Usage: node test-job.js [festival id] [--mock] [--html <file>]   (default: first in festivals.json)
+//   Set ANTHROPIC_API_KEY (via .env or environment) to test Claude enrichment.
+//   Without it, or with --mock, the same pipeline runs against a mock client
+//   whose replies are garbled the ways real ones can be.
+//   --html parses a saved listing page instead of fetching 19hz. --mock uses
+//   fixtures/<festival id>.html when there is one, so it runs offline.
 
 require('dotenv').config({ silent: true });
+const fs = require('fs');
+const path = require('path');
 const fetch = require('node-fetch');
-const { parseEvents, parsePrice, enrichWithClaude, SOURCE_URL } = require('./server');
+const { parseEvents, FESTIVALS } = require('./server');
+const { enrichWithRules } = require('./lib/rules');
+const { TYPES, createClient, enrichAll } = require('./lib/enrich');
+
+const VALID_TYPES = new Set(TYPES);
+
+// ── Mock client ──────────────────────────────────────────────────────────────
+// Answers from the rule-based enricher, so the expected result for every row
+// is known. The first reply is prose instead of JSON (→ batch split); the
+// second comes back reversed, drops an item and invents a type (→ re-ask).
+// Every row should still end up with its own answer.
+function mockClient(rawEvents) {
+  const byTitle = new Map(rawEvents.map(r => [`${r.titlePart}|${r.venue}`, r]));
+  let calls = 0;
+  const reply = text => ({ content: [{ type: 'text', text }], usage: { input_tokens: 0, output_tokens: 0 }, stop_reason: 'end_turn' });
+  return {
+    calls: () => calls,
+    messages: {
+      async create({ messages }) {
+        calls++;
+        if (calls === 1) return reply("Sure! Here's the enriched data you asked for.");
+        const rows = messages[0].content.split('\nEvents:\n')[1].split('\n').map(line => {
+          const [, i, title, venue] = line.match(/^(\d+): title="(.*)" venue="(.*?)" area=/);
+          const { confident, ...item } = enrichWithRules(byTitle.get(`${title}|${venue}`));
+          return { i: Number(i), ...item };
+        });
+        if (calls === 2) {
+          rows.reverse();
+          if (rows.length > 1) rows.pop();
+          rows[0] = { ...rows[0], type: 'warehouse' };
+        }
+        return reply('```json\n' + JSON.stringify(rows) + '\n```');
+      },
+    },
+  };
+}
 
-const VALID_TYPES = new Set(['pool', 'outdoor', 'night', 'festival', 'cruise']);
+// The listing page: --html <file>, the festival's fixture under --mock, or 19hz
+async function loadListing(festival, htmlFile, useMock) {
+  const fixture = path.join('fixtures', `${festival.id}.html`);
+  const file = htmlFile || (useMock && fs.existsSync(path.join(__dirname, fixture)) ? path.join(__dirname, fixture) : null);
+  if (file) {
+    console.log(`\n📄 Reading ${festival.shortName} from ${htmlFile || fixture} ...`);
+    return fs.readFileSync(file, 'utf8');
+  }
+  console.log(`\n🔗 Fetching ${festival.shortName} from ${festival.sourceUrl} ...`);
+  const res = await fetch(festival.sourceUrl);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
 
 async function run() {
+  const args = process.argv.slice(2);
+  const htmlIdx = args.indexOf('--html');
+  const htmlFile = htmlIdx > -1 ? args.splice(htmlIdx, 2)[1] : null;
+  if (htmlIdx > -1 && !htmlFile) throw new Error('--html needs a file');
+  const festivalId = args.find(a => !a.startsWith('--'));
+  const explicitMock = args.includes('--mock');
+  const useMock = explicitMock || !process.env.ANTHROPIC_API_KEY;
+  const festival = festivalId ? FESTIVALS.find(f => f.id === festivalId) : FESTIVALS[0];
+  if (!festival) throw new Error(`Unknown or disabled festival: ${festivalId} (have: ${FESTIVALS.map(f => f.id).join(', ')})`);
+
   // ── 1. Fetch ────────────────────────────────────────────────────────────
-  console.log(`\n🔗 Fetching ${SOURCE_URL} ...`);
-  const res = await fetch(SOURCE_URL);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  const html = await res.text();
-  console.log(`   ✓ Fetched ${(html.length / 1024).toFixed(0)} KB of HTML`);
+  const html = await loadListing(festival, htmlFile, explicitMock);
+  console.log(`   ✓ Got ${(html.length / 1024).toFixed(0)} KB of HTML`);
 
   // ── 2. Parse ────────────────────────────────────────────────────────────
   console.log(`\n📋 Parsing events...`);
-  const raw = parseEvents(html);
+  const raw = parseEvents(html, festival);
   console.log(`   ✓ Parsed ${raw.length} events`);
 
   if (raw.length === 0) {
-    console.log('\n⚠️  No events found — check if TARGET_DATES match current 19hz listings.');
+    console.log(`\n⚠️  No events found — check that ${festival.start} – ${festival.end} matches current 19hz listings.`);
     return;
   }
 
@@ -39,37 +99,58 @@ async function run() {
   console.log(`   venue:    "${sample.venue}"`);
   console.log(`   area:     "${sample.area}"`);
   console.log(`   genres:   [${sample.genres.join(', ')}]`);
-  console.log(`   time:     "${sample.timeRaw}"  (startHour: ${sample.startHour})`);
-
-  // ── 3. Enrich via Claude ────────────────────────────────────────────────
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.log('\n⚠️  ANTHROPIC_API_KEY not set — skipping enrichment step.');
-    console.log('   Set it in .env or export it to test the full pipeline.');
-    return;
+  console.log(`   time:     "${sample.timeRaw}"  (${sample.startAt || '?'} → ${sample.endAt || '?'})`);
+  console.log(`   days:     [${sample.days.join(', ')}]`);
+
+  const multiDay = raw.filter(e => e.days.length > 1);
+  const unparsedTimes = raw.filter(e => !e.startAt);
+  console.log(`   Multi-day: ${multiDay.length}  |  Unparsed times: ${unparsedTimes.length}`);
+  unparsedTimes.slice(0, 5).forEach(e => console.log(`     ⚠ "${e.timeRaw}" (${e.titlePart})`));
+
+  // ── 3. Enrich via rules, then Claude ────────────────────────────────────
+  console.log(`\n📐 Enriching ${raw.length} events via rules...`);
+  const ruled = raw.map(enrichWithRules);
+  console.log(`   ✓ ${ruled.filter(r => r.confident).length}/${raw.length} resolved confidently`);
+
+  const mock = useMock ? mockClient(raw) : null;
+  if (mock) {
+    if (!process.env.ANTHROPIC_API_KEY) console.log('\n⚠️  ANTHROPIC_API_KEY not set — using the mock client. Set it in .env to test real Claude output.');
+    console.log(`\n🧪 Enriching ${raw.length} events via the mock client...`);
+  } else {
+    console.log(`\n🤖 Enriching ${raw.length} events via Claude...`);
   }
-
-  console.log(`\n🤖 Enriching ${raw.length} events via Claude...`);
   const start = Date.now();
-  const enriched = await enrichWithClaude(raw);
+  const tokens = { input: 0, output: 0 };
+  const { results, errors: enrichErrors } = await enrichAll(mock || createClient(), raw, festival, {
+    tokens,
+    backoffMs: mock ? 0 : undefined,
+    log: line => console.log('   ' + line.trim()),
+  });
   const elapsed = ((Date.now() - start) / 1000).toFixed(1);
-  console.log(`   ✓ Enrichment complete in ${elapsed}s`);
+  console.log(`   ✓ Enrichment complete in ${elapsed}s${mock ? ` (${mock.calls()} mock calls)` : ` (${tokens.input} in / ${tokens.output} out tokens)`}`);
+  enrichErrors.forEach(err => console.log(`   ⚠ ${err}`));
 
   // ── 4. Validate ─────────────────────────────────────────────────────────
   console.log(`\n🔍 Validating enriched output...`);
   let errors = 0;
 
-  if (!Array.isArray(enriched)) {
-    console.log('   ✗ Response is not an array!');
-    return;
-  }
-
-  if (enriched.length !== raw.length) {
-    console.log(`   ✗ Length mismatch: expected ${raw.length}, got ${enriched.length}`);
+  // Rows the pipeline gave up on get the rules guess, as in server.js
+  const unresolved = results.filter(r => !r).length;
+  if (unresolved > 0) {
+    console.log(`   ✗ ${unresolved}/${raw.length} rows unresolved — they'd publish the rule-based fallback`);
     errors++;
   }
+  const enriched = results.map((r, i) => r || (({ confident, ...e }) => e)(ruled[i]));
 
   enriched.forEach((item, i) => {
     const prefix = `   [${i}]`;
+    // The mock answers each row with its rules guess — anything else means a
+    // result landed on the wrong event
+    const expected = ruled[i];
+    if (mock && results[i] && (item.name !== expected.name || item.artists !== expected.artists || item.type !== expected.type)) {
+      console.log(`${prefix} ✗ misaligned: got "${item.name}" for "${raw[i].titlePart}"`);
+      errors++;
+    }
     if (typeof item.name !== 'string' || !item.name) {
       console.log(`${prefix} ✗ missing or empty "name"`);
       errors++;
@@ -89,9 +170,10 @@ async function run() {
   });
 
   if (errors === 0) {
-    console.log(`   ✓ All ${enriched.length} items valid`);
+    console.log(`   ✓ All ${enriched.length} items valid${mock ? ' and matched to their rows' : ''}`);
   } else {
     console.log(`\n   ✗ ${errors} validation error(s)`);
+    process.exitCode = 1;
   }
 
   // ── 5. Summary table ───────────────────────────────────────────────────
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitArtists } = require('../lib/artists');
+
+test('splits a collab on a standalone x', () => {
+  assert.deepStrictEqual(splitArtists('DJ Tennis x Carl Craig'), ['DJ Tennis', 'Carl Craig']);
+  assert.deepStrictEqual(splitArtists('Slapfunk X Yoyaku, Piv'), ['Slapfunk', 'Yoyaku', 'Piv']);
+});
+
+test('keeps acts named with x whole', () => {
+  assert.deepStrictEqual(splitArtists('Bonnie x Clyde, Caleb Calloway'), ['Bonnie x Clyde', 'Caleb Calloway']);
+  assert.deepStrictEqual(splitArtists('Planet X, Edx'), ['Planet X', 'Edx']);
+});
+
+test('splits on & except for known duos', () => {
+  assert.deepStrictEqual(splitArtists('Mira & Tal Fussman + More'), ['Mira', 'Tal Fussman']);
+  assert.deepStrictEqual(splitArtists('Above & Beyond b2b Lucas & Steve'), ['Above & Beyond', 'Lucas & Steve']);
+});
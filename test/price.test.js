@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrice } = require('../public/price');
+
+const range = str => {
+  const { min, max } = parsePrice(str);
+  return [min, max];
+};
+
+test('reads every amount in a segment with a parenthesized door price', () => {
+  assert.deepStrictEqual(range('$15-$25 (door $30)'), [15, 30]);
+  assert.deepStrictEqual(parsePrice('$15-$25 (door $30)').tiers, [
+    { min: 15, max: 25, label: '' },
+    { min: 30, max: 30, label: 'door' },
+  ]);
+});
+
+test('splits comma-separated tiers', () => {
+  const price = parsePrice('$10 advance, $20 at the door');
+  assert.deepStrictEqual([price.min, price.max], [10, 20]);
+  assert.deepStrictEqual(price.tiers.map(t => t.label), ['advance', 'at the door']);
+  assert.strictEqual(price.door, true);
+});
+
+test('keeps thousands separators inside an amount', () => {
+  assert.deepStrictEqual(range('$40-3,000'), [40, 3000]);
+});
+
+test('still splits on spaced slashes only', () => {
+  const price = parsePrice('free w/rsvp b4 10pm / $23-34');
+  assert.deepStrictEqual([price.min, price.max, price.free, price.rsvp], [23, 34, true, true]);
+  assert.strictEqual(price.tiers[0].label, 'w/rsvp b4 10pm');
+});
+
+test('a parenthesized note without an amount adds no tier', () => {
+  assert.deepStrictEqual(parsePrice('$20 (+fees)').tiers, [{ min: 20, max: 20, label: '' }]);
+});
+
+test('presale, open-ended and unknown prices', () => {
+  const pre = parsePrice('$29 pre / $50');
+  assert.deepStrictEqual([pre.min, pre.max, pre.door], [29, 50, true]);
+  assert.strictEqual(parsePrice('$24+').plus, true);
+  assert.strictEqual(parsePrice('TBA').tba, true);
+  assert.strictEqual(parsePrice('21+').tba, true);
+});